@@ -5,9 +5,13 @@
 // @description  Captures current frame of the video and lets to disable any UI elements that overlay video.
 // @author       Martynas Shnaresys
 // @match        https://*.youtube.com/*
+// @match        https://*.youtube-nocookie.com/*
 // @icon         https://www.google.com/s2/favicons?domain=youtube.com
 // @run-at       document-start
 // @grant        GM_setClipboard
+// @grant        GM_registerMenuCommand
+// @grant        GM_getValue
+// @grant        GM_setValue
 // @grant        unsafeWindow
 // @license      MIT
 // ==/UserScript==
@@ -15,11 +19,217 @@
 const metaData = {
     id: '',
     title: '',
+    channel: '',
     duration: '',
     href: '',
+    page: '', // key of stripLayouts, set from the URL
+    list: '', // playlist id
+    index: '', // position in playlist
     short_url: '',
     thumbnail: {},
     seekingByScript: false, // Flag to prevent URL change detection when time overlay is clicked
+    rangeCapture: null, // Running range capture state { cancelled, navigated }, navigation cancels it
+};
+
+const storageConfig = {
+    database: 'YtGr4',
+    store: 'strips',
+    maxFramesPerVideo: 50, // oldest frames are dropped from storage, strip keeps them until reload
+    maxBytesPerVideo: 64 * 1024 * 1024, // same for image data exceeding this size
+    persistDelay: 500, // strip changes within this many milliseconds are written once
+    maxVideos: 30,
+    maxAgeDays: 30,
+};
+
+/**
+ * Remappable keyboard shortcuts with their default keys.
+ * Key format is described in getKeyCombo.
+ */
+const shortcutDefinitions = {
+    captureFull: { label: 'Capture full-size screenshot', key: '[' },
+    captureViewport: { label: 'Capture viewport-size screenshot', key: ']' },
+    toggleUI: { label: 'Toggle clean player', key: 'p' },
+    copyLink: { label: 'Copy video link with metadata', key: "'" },
+    copyLinkAtTime: { label: 'Copy video link at current time', key: '"' },
+    captureBurst: { label: 'Capture burst of frames', key: '{' },
+    captureRange: { label: 'Capture time range', key: 'Shift+r' },
+    toggleSceneDetection: { label: 'Toggle scene-change capture', key: 'Shift+s' },
+    stepFrameBack: { label: 'Step one frame back (paused)', key: 'Shift+ArrowLeft' },
+    stepFrameForward: { label: 'Step one frame forward (paused)', key: 'Shift+ArrowRight' },
+    focusStrip: { label: 'Focus screenshot strip', key: 's' },
+    logGlobals: { label: 'Log script state to console', key: 'u' },
+};
+
+/**
+ * Keys already bound by YouTube player and page.
+ */
+const youtubeShortcuts = [
+    ' ',
+    'k',
+    'j',
+    'l',
+    'f',
+    'm',
+    't',
+    'i',
+    'c',
+    'o',
+    'w',
+    '+',
+    '-',
+    '=',
+    ',',
+    '.',
+    '<',
+    '>',
+    '/',
+    '?',
+    ...'0123456789',
+    'Shift+n',
+    'Shift+p',
+    'ArrowLeft',
+    'ArrowRight',
+    'ArrowUp',
+    'ArrowDown',
+    'Home',
+    'End',
+    'Escape',
+];
+
+const defaultSettings = {
+    shortcuts: Object.fromEntries(Object.entries(shortcutDefinitions).map(([name, { key }]) => [name, key])),
+    thumbnailWidth: 168,
+    stripPlacement: 'below', // 'below' or 'above' the player
+    stripCollapsed: false, // if true, strip is shown as a slim bar with screenshot count
+    imageFormat: 'png', // key of imageFormats
+    imageQuality: 92, // percent, JPEG and WebP only
+    burstFrames: 10,
+    burstInterval: 0, // milliseconds of media time between burst frames, 0 takes every decoded frame
+    rangeStep: 30, // seconds between range capture frames
+    sceneSensitivity: 50, // 1 to 100, higher captures on smaller changes
+    sceneMinGap: 2, // seconds of media time between scene captures
+    sheetColumns: 4,
+    sheetCellWidth: 320,
+    sheetBackground: '#111111',
+    animationFormat: 'gif', // 'gif' or 'apng'
+    animationWidth: 480,
+    animationDelay: 100, // milliseconds per frame
+    animationRealGaps: false, // if true, frames last as long as media time between them
+    notesFormat: 'html', // 'html' or 'markdown'
+    fileNameTemplate: '{title} - {time_ms} {frame}', // tokens are listed in fileNameTokens
+    linkFormat: 'plain', // key of linkFormats
+    linkTemplate: '{title} | {duration} | {url}', // 'custom' link format, tokens are listed in linkTokens
+    cleanPlayer: false, // if true, configured player overlays are kept hidden
+    cleanSelectors: [
+        '.ytp-gradient-top',
+        '.ytp-gradient-bottom',
+        '.ytp-chrome-top',
+        '.ytp-chrome-bottom',
+        '.ytp-ce-element',
+        '.ytp-ce-video',
+        '.ytp-ce-channel',
+        '.ytp-ce-playlist',
+        '.ytp-iv-player-content',
+        '.iv-branding',
+        '.html5-endscreen',
+        '.ytp-paid-content-overlay',
+        '.ytp-pause-overlay',
+    ],
+    burnCaptions: false, // if true, visible captions are drawn onto full and viewport captures
+    stampEnabled: false, // if true, metadata stamp is drawn onto full and viewport captures
+    stampCorner: 'bottom-right', // key of stampCorners
+    stampTitle: true,
+    stampTime: true,
+    stampUrl: true,
+};
+
+/**
+ * Corners available for the metadata stamp.
+ */
+const stampCorners = {
+    'top-left': 'Top left',
+    'top-right': 'Top right',
+    'bottom-left': 'Bottom left',
+    'bottom-right': 'Bottom right',
+};
+
+/**
+ * Image formats available for saving.
+ * Clipboard always gets PNG, the only image type browsers accept there.
+ */
+const imageFormats = {
+    png: { label: 'PNG', mime: 'image/png', extension: 'png' },
+    jpeg: { label: 'JPEG', mime: 'image/jpeg', extension: 'jpg' },
+    webp: { label: 'WebP', mime: 'image/webp', extension: 'webp' },
+};
+
+/**
+ * Replaces square brackets, they would end link text early in BBCode and org-mode links.
+ *
+ * @param {string} text link text
+ *
+ * @returns {string} text with round brackets
+ */
+const replaceBrackets = text => `${text}`.replace(/\[/g, '(').replace(/]/g, ')');
+
+/**
+ * Link copy formats, format builds the text from link values.
+ * HTML format also puts plain text on the clipboard for apps without rich paste.
+ */
+const linkFormats = {
+    plain: { label: 'Plain text', format: ({ title, duration, url }) => `${title} | ${duration} | ${url}` },
+    markdown: { label: 'Markdown', format: ({ title, url }) => `[${escapeMarkdown(title)}](${url})` },
+    html: {
+        label: 'HTML',
+        html: true,
+        format: ({ title, url }) => `<a href="${escapeHtml(url)}">${escapeHtml(title)}</a>`,
+    },
+    bbcode: { label: 'BBCode', format: ({ title, url }) => `[url=${url}]${replaceBrackets(title)}[/url]` },
+    org: { label: 'Org mode', format: ({ title, url }) => `[[${url}][${replaceBrackets(title)}]]` },
+    custom: {
+        label: 'Custom template',
+        format: values => fillTemplate(settings.linkTemplate || defaultSettings.linkTemplate, values),
+    },
+};
+
+/**
+ * Link template tokens with descriptions shown in settings.
+ */
+const linkTokens = {
+    title: 'video title',
+    duration: 'duration, 1h 2m 3s',
+    url: 'short URL, with ?t= when copied at current time',
+    id: 'video id',
+    channel: 'channel name',
+    time: 'current time HH:MM:SS, when copied at it',
+    list: 'playlist id',
+    index: 'position in playlist',
+};
+
+/**
+ * Reads settings saved by userscript manager, missing values are taken from defaults.
+ *
+ * @returns {Object} settings
+ */
+const loadSettings = () => {
+    const stored = typeof GM_getValue === 'function' ? GM_getValue('settings', {}) : {};
+    return {
+        ...defaultSettings,
+        ...stored,
+        shortcuts: { ...defaultSettings.shortcuts, ...stored.shortcuts },
+    };
+};
+
+const settings = loadSettings();
+
+/**
+ * Replaces current settings and saves them with userscript manager.
+ *
+ * @param {Object} newSettings complete settings object
+ */
+const saveSettings = newSettings => {
+    Object.assign(settings, newSettings);
+    if (typeof GM_setValue === 'function') GM_setValue('settings', settings);
 };
 
 /**
@@ -43,10 +253,10 @@ const getElementText = element => {
  * Prioritizes sources that update dynamically when navigating between videos.
  */
 const setTitle = () => {
-    // Method 1: Document title (most reliable for SPA) - format: "(2) Video Title - YouTube"
+    // Method 1: Document title (most reliable for SPA) - format: "(2) Video Title - YouTube" or "... - YouTube Music"
     const docTitle = document.title;
     if (docTitle && docTitle !== 'YouTube' && docTitle.includes(' - YouTube')) {
-        let cleanTitle = docTitle.replace(' - YouTube', '').trim();
+        let cleanTitle = docTitle.replace(/ - YouTube( Music)?$/, '').trim();
         cleanTitle = cleanTitle.replace(/^\(\d+\)\s*/, '');
 
         if (cleanTitle.length > 0) {
@@ -94,11 +304,31 @@ const setTitle = () => {
     console.warn('#YtGr4 Could not determine video title from any source');
 };
 
+/**
+ * Sets channel name from the owner block under the video, falls back to the end screen channel title.
+ */
+const setChannel = () => {
+    const channelLink = document.querySelector(
+        'ytd-watch-metadata #owner ytd-channel-name a, #upload-info #channel-name a, .ytp-ce-channel-title'
+    );
+    const channel = channelLink && channelLink.textContent.trim();
+    if (channel) metaData.channel = channel;
+};
+
 /**
  * Sets video duration time.
  */
 const setDuration = () => {
-    metaData.duration = getElementText('.ytp-time-duration');
+    const player = getPlayerElement();
+    const durationElement = player && player.querySelector('.ytp-time-duration');
+    const videoStream = getVideoStream();
+    const hasVideoDuration = videoStream && Number.isFinite(videoStream.duration) && videoStream.duration > 0;
+    if (durationElement && durationElement.textContent.trim()) {
+        metaData.duration = getElementText(durationElement);
+    } else {
+        // Shorts player has no duration label
+        metaData.duration = hasVideoDuration ? hoursMinutesSeconds(Math.round(videoStream.duration)) : '';
+    }
 };
 
 /**
@@ -131,31 +361,67 @@ const checkForError = () => {
 };
 
 /**
- * Copying formatted video url to clipboard
+ * Collects values for link formats and template.
+ *
+ * @param {number | undefined} time playback time to link to, whole video if not set
+ *
+ * @returns {Object} link values, keys are listed in linkTokens
+ */
+const getLinkValues = time => ({
+    title: metaData.title,
+    duration: formatDurationTime(metaData.duration),
+    url: time === undefined ? metaData.short_url : getFrameShortUrl(time),
+    id: metaData.id,
+    channel: metaData.channel,
+    time: time === undefined ? '' : hoursMinutesSeconds(Math.trunc(time)),
+    list: metaData.list,
+    index: metaData.index,
+});
+
+/**
+ * Copying video link to clipboard in the configured format, plain by default:
  * [title] | [duration] | [short_url]
+ *
+ * @param {boolean | undefined} atCurrentTime if true, link points to current playback time
  */
-const copyVideoLink = () => {
+const copyVideoLink = async atCurrentTime => {
     if (!metaData.short_url) {
-        alert('URL is missing, cannot copy.');
+        showToast('URL is missing, cannot copy.', 'error');
         return;
     }
     const error = checkForError();
     if (!metaData.title) setTitle(); // In case, if  mutation observer misses
+    if (!metaData.channel) setChannel();
     const duration = formatDurationTime(metaData.duration);
     if (!metaData.title && !duration && error) {
-        alert(`Cannot copy, Youtube error: ${error}`);
+        showToast(`Cannot copy, Youtube error: ${error}`, 'error');
         return;
     }
 
-    const message = `${metaData.title} | ${duration} | ${metaData.short_url}`;
-    navigator.clipboard.writeText(message).then(
-        () => {
-            console.log(`#YtGr4 Link copied: ${message}`);
-        },
-        e => {
-            console.warn('#YtGr4 Link copy failed', e);
+    const videoStream = getVideoStream();
+    if (atCurrentTime && !videoStream) {
+        showToast('No video to take the current time from', 'warning');
+        return;
+    }
+    const values = getLinkValues(atCurrentTime ? videoStream.currentTime : undefined);
+    const linkFormat = linkFormats[settings.linkFormat] || linkFormats.plain;
+    const message = linkFormat.format(values);
+    try {
+        if (linkFormat.html) {
+            const clipboardItem = new ClipboardItem({
+                'text/html': new Blob([message], { type: 'text/html' }),
+                'text/plain': new Blob([linkFormats.plain.format(values)], { type: 'text/plain' }),
+            });
+            await navigator.clipboard.write([clipboardItem]);
+        } else {
+            await navigator.clipboard.writeText(message);
         }
-    );
+        console.log(`#YtGr4 Link copied: ${message}`);
+        showToast(values.time ? `Link at ${values.time} copied` : 'Link copied');
+    } catch (e) {
+        console.warn('#YtGr4 Link copy failed', e);
+        showToast('Link copy failed', 'error');
+    }
 };
 
 /**
@@ -182,49 +448,103 @@ const setDefaultThumbnail = async (attempt = 0) => {
 };
 
 /**
- * Composes short url for video
+ * Composes short url for video, playlist and position in it are kept.
  *
  * @param { string } id Video id
  *
  * @returns { string } short video url
  */
 const setShortUrl = id => {
-    const shortUrl = `https://youtu.be/${id}`;
-    metaData.short_url = shortUrl;
+    const shortUrl = new URL(`https://youtu.be/${id}`);
+    if (metaData.list) shortUrl.searchParams.set('list', metaData.list);
+    if (metaData.list && metaData.index) shortUrl.searchParams.set('index', metaData.index);
+    metaData.short_url = shortUrl.toString();
 };
 
 /**
- * Parses query parameters from a URL and returns them as an object.
+ * Composes short url pointing at frame time, whole seconds like the time overlay link.
  *
- * @param {string} url The URL containing query parameters.
+ * @param {number} time frame time location in video
  *
- * @returns {object} An object containing all the query parameters.
+ * @returns {string} short video url with t parameter
  */
-const parseQueryParams = url => {
-    const queryParams = {};
-    const queryString = url.split('?')[1];
-    if (queryString) {
-        const pairs = queryString.split('&');
-        pairs.forEach(pair => {
-            const [key, value] = pair.split('=');
-            queryParams[key] = decodeURIComponent(value || '');
-        });
+const getFrameShortUrl = time => {
+    const shortUrl = new URL(metaData.short_url);
+    shortUrl.searchParams.set('t', `${Math.trunc(time)}`);
+    return shortUrl.toString();
+};
+
+/**
+ * @typedef {Object} VideoUrl
+ * @property {string} page key of stripLayouts
+ * @property {string} id video id
+ * @property {string} list playlist id, empty if none
+ * @property {string} index position in playlist, empty if none
+ */
+
+/**
+ * Parses video page url: watch, Shorts, live, embed, youtube-nocookie and YouTube Music.
+ *
+ * @param {string} url page url
+ *
+ * @returns {VideoUrl | null} video page data, null for pages without a video
+ */
+const parseVideoUrl = url => {
+    let parsedUrl;
+    try {
+        parsedUrl = new URL(url);
+    } catch (error) {
+        return null;
     }
-    return queryParams;
+    const { hostname, pathname, searchParams } = parsedUrl;
+    if (!/(^|\.)youtube(-nocookie)?\.com$/.test(hostname)) return null;
+    const pathMatch = pathname.match(/^\/(shorts|live|embed)\/([\w-]+)/);
+    let page = '';
+    let id = '';
+    if (pathname === '/watch') {
+        page = hostname.startsWith('music.') ? 'music' : 'watch';
+        id = searchParams.get('v') || '';
+    } else if (pathMatch) {
+        page = { shorts: 'shorts', live: 'watch', embed: 'embed' }[pathMatch[1]];
+        id = pathMatch[2];
+    }
+    if (!id || id === 'videoseries') return null; // playlist embeds have no single video in the url
+    return { page, id, list: searchParams.get('list') || '', index: searchParams.get('index') || '' };
 };
 
 /**
- * Extracts YT video id.
+ * Extracts YT video id, page type and playlist position.
  *
  * @param {string} url Youtube video url
  *
  * @returns {string} Youtube video id
  */
 const setVideoId = url => {
-    const params = parseQueryParams(url);
-    const id = params.v;
-    if (!id) console.warn(`#YtGr4 No video id found for "${url}"`);
-    metaData.id = id;
+    const videoUrl = parseVideoUrl(url);
+    if (!videoUrl) console.warn(`#YtGr4 No video id found for "${url}"`);
+    const { page, id, list, index } = videoUrl || { page: '', id: '', list: '', index: '' };
+    Object.assign(metaData, { page, id, list, index });
+    return id;
+};
+
+/**
+ * Gets player of current page: Shorts have their own, other pages use the main one.
+ *
+ * @returns {HTMLElement | null} player element
+ */
+const getPlayerElement = () =>
+    (metaData.page === 'shorts' && document.querySelector('#shorts-player')) ||
+    document.querySelector('#movie_player') ||
+    document.querySelector('.html5-video-player');
+
+/**
+ * Gets video element of current player.
+ *
+ * @returns {HTMLVideoElement | null} video element
+ */
+const getVideoStream = () => {
+    const player = getPlayerElement();
+    return (player && player.querySelector('.video-stream')) || document.querySelector('.video-stream');
 };
 
 /**
@@ -232,45 +552,157 @@ const setVideoId = url => {
  */
 const updateIdUrlsThumbnail = async () => {
     metaData.href = location.href;
+    setVideoId(metaData.href);
     setDuration();
     setTitle();
-    setVideoId(metaData.href);
+    setChannel();
     setShortUrl(metaData.id);
     await setDefaultThumbnail();
 };
 
 /**
- * Toggles Youtube video control and vignette visibility.
+ * Clean player state, elements hidden by it are restored when it is turned off.
+ */
+const cleanPlayer = {
+    observer: null,
+    hidden: new Set(),
+};
+
+/**
+ * Checks if text is a valid CSS selector.
+ *
+ * @param {string} selector CSS selector
  *
- * @param { boolean } restore - if true, UI elements visibility is restored
+ * @returns {boolean} true if selector can be queried
  */
-const toggleUIVisibility = restore => {
-    const singleIdentificators = [
-        '.ytp-gradient-top',
-        '.ytp-gradient-bottom',
-        '.ytp-chrome-top',
-        '.ytp-chrome-bottom',
-        '.ytp-ce-channel.ytp-ce-top-left-quad',
-        '.ytp-ce-channel.ytp-ce-top-right-quad',
-        '.ytp-ce-channel.ytp-ce-bottom-left-quad',
-        '.ytp-ce-channel.ytp-ce-bottom-right-quad',
-        '.ytp-ce-video.ytp-ce-top-left-quad',
-        '.ytp-ce-video.ytp-ce-top-right-quad',
-        '.ytp-ce-video.ytp-ce-bottom-left-quad',
-        '.ytp-ce-video.ytp-ce-bottom-right-quad',
-        '.ytp-iv-player-content',
-        '.iv-branding',
-        '.ytp-ce-playlist',
-        '.html5-endscreen',
-        '.ytp-paid-content-overlay',
-    ];
-    // const multipleIdentificators = ['.ytp-ce-element'];
-    const elements = singleIdentificators.map(id => document.querySelector(`${id}`));
-    const invisible = elements[0].style.display;
-    const state = invisible || restore ? '' : 'none';
-    elements.forEach(element => {
-        element ? (element.style.display = state) : '';
+const isValidSelector = selector => {
+    try {
+        document.createDocumentFragment().querySelector(selector);
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+/**
+ * Joins configured clean player selectors, invalid ones are skipped.
+ *
+ * @returns {string} selector list, empty if none is valid
+ */
+const getCleanPlayerSelector = () => settings.cleanSelectors.filter(isValidSelector).join(', ');
+
+/**
+ * Hides element and remembers it for restoring, elements already hidden by Youtube are left alone.
+ *
+ * @param {HTMLElement} element overlay element
+ */
+const hideCleanPlayerElement = element => {
+    if (element.style.display === 'none') return;
+    element.style.display = 'none';
+    cleanPlayer.hidden.add(element);
+};
+
+/**
+ * Hides root and its descendants matching the selector.
+ *
+ * @param {Element} root element to search
+ * @param {string} selector selector list
+ */
+const hideCleanPlayerElements = (root, selector) => {
+    if (root.matches(selector)) hideCleanPlayerElement(root);
+    root.querySelectorAll(selector).forEach(hideCleanPlayerElement);
+};
+
+/**
+ * Creates clean player indicator, faint until hovered. Click turns clean player off.
+ *
+ * @returns {HTMLButtonElement} indicator element
+ */
+const createCleanPlayerIndicatorElement = () => {
+    const element = createOverlayTextElement({ active: true });
+    element.id = 'screenshot-clean-indicator';
+    element.style.top = '8px';
+    element.style.left = '8px';
+    element.style['z-index'] = '100';
+    element.style.opacity = '0.35';
+    element.style.transition = 'opacity 0.2s';
+    element.textContent = '◌ Clean';
+    element.title = 'Clean player is on, click to show player UI';
+    element.addEventListener('mouseenter', () => {
+        element.style.opacity = '1';
+    });
+    element.addEventListener('mouseleave', () => {
+        element.style.opacity = '0.35';
+    });
+    element.addEventListener('click', () => toggleUIVisibility());
+    return element;
+};
+
+/**
+ * Hides configured overlays on the player and keeps hiding them as they appear or are shown again.
+ * Restarting picks up a replaced player element and changed selectors.
+ *
+ * @returns {boolean} false if there is no player yet
+ */
+const startCleanPlayer = () => {
+    const player = getPlayerElement();
+    if (!player) return false;
+    if (cleanPlayer.observer) cleanPlayer.observer.disconnect();
+    const selector = getCleanPlayerSelector();
+
+    if (selector) {
+        hideCleanPlayerElements(player, selector);
+        cleanPlayer.observer = new MutationObserver(mutations => {
+            mutations.forEach(({ type, target, addedNodes }) => {
+                if (type === 'attributes') {
+                    if (target.matches(selector)) hideCleanPlayerElement(target);
+                    return;
+                }
+                addedNodes.forEach(node => {
+                    if (node.nodeType === Node.ELEMENT_NODE) hideCleanPlayerElements(node, selector);
+                });
+            });
+        });
+        cleanPlayer.observer.observe(player, {
+            childList: true,
+            subtree: true,
+            attributes: true,
+            attributeFilter: ['class', 'style'],
+        });
+    }
+
+    if (!document.querySelector('#screenshot-clean-indicator')) player.appendChild(createCleanPlayerIndicatorElement());
+    return true;
+};
+
+/**
+ * Stops hiding overlays and shows the hidden ones again.
+ */
+const stopCleanPlayer = () => {
+    if (cleanPlayer.observer) cleanPlayer.observer.disconnect();
+    cleanPlayer.observer = null;
+    cleanPlayer.hidden.forEach(element => {
+        element.style.display = '';
     });
+    cleanPlayer.hidden.clear();
+    const indicator = document.querySelector('#screenshot-clean-indicator');
+    if (indicator) indicator.remove();
+};
+
+/**
+ * Toggles clean player: Youtube video controls, vignette, end screen cards and other configured overlays.
+ * State is remembered, clean player stays on through videos and page reloads.
+ */
+const toggleUIVisibility = () => {
+    const active = !settings.cleanPlayer;
+    saveSettings({ cleanPlayer: active });
+    if (active) {
+        startCleanPlayer();
+    } else {
+        stopCleanPlayer();
+    }
+    updateCleanPlayerButton();
+    showToast(`Clean player ${active ? 'on' : 'off'}`);
 };
 
 /**
@@ -284,14 +716,264 @@ const destroyStrip = () => {
     screenshotStrip.remove();
 };
 
+/**
+ * @typedef {Object} StoredFrame
+ * @property {Blob} blob image data, decoded to src on load
+ * @property {string | undefined} src image encoded to base64 string, older entries were stored this way
+ * @property {number} time Frame position represented in seconds with fractions of seconds
+ * @property {number} width Width of the frame
+ * @property {number} height Height of the frame
+ * @property {string} mode Capture mode: 'full', 'viewport' or 'thumbnail'
+ * @property {number} capturedAt Capture date in milliseconds
+ * @property {boolean} saved if true, frame was already downloaded
+ * @property {string | undefined} group Burst group id
+ * @property {number | undefined} fps Detected frame rate at capture, 0 if unknown
+ * @property {string | undefined} key Strip image container id, kept across restores
+ * @property {string | undefined} source Key of the frame a crop was made from
+ */
+
+/**
+ * @typedef {Object} StoredStrip
+ * @property {string} id Video id
+ * @property {string} title Video title at the time of the last update
+ * @property {number} updated Last update date in milliseconds
+ * @property {StoredFrame[]} frames Strip frames in strip order
+ */
+
+let storageConnection = null;
+
+/**
+ * Opens (and creates on first run) screenshot strip database.
+ * Connection is reused for the lifetime of the page.
+ *
+ * @returns {Promise<IDBDatabase>} database connection
+ */
+const openStorage = () => {
+    if (storageConnection) return storageConnection;
+    storageConnection = new Promise((resolve, reject) => {
+        const request = indexedDB.open(storageConfig.database, 1);
+        request.onupgradeneeded = () => {
+            const store = request.result.createObjectStore(storageConfig.store, { keyPath: 'id' });
+            store.createIndex('updated', 'updated');
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+            storageConnection = null;
+            reject(request.error);
+        };
+    });
+    return storageConnection;
+};
+
+/**
+ * Runs callback within a strip store transaction.
+ *
+ * @param {IDBTransactionMode} mode 'readonly' or 'readwrite'
+ * @param {function(IDBObjectStore): (IDBRequest | undefined)} callback store operations
+ *
+ * @returns {Promise<any>} result of the request returned by callback, resolved when transaction completes
+ */
+const withStripStore = async (mode, callback) => {
+    const database = await openStorage();
+    return new Promise((resolve, reject) => {
+        const transaction = database.transaction(storageConfig.store, mode);
+        const request = callback(transaction.objectStore(storageConfig.store));
+        transaction.oncomplete = () => resolve(request ? request.result : undefined);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+};
+
+/**
+ * Loads stored strip frames for the video.
+ *
+ * @param {string} id Video id
+ *
+ * @returns {Promise<StoredFrame[]>} stored frames or empty array
+ */
+const loadStoredFrames = async id => {
+    if (!id) return [];
+    const record = await withStripStore('readonly', store => store.get(id));
+    if (!record) return [];
+    return Promise.all(
+        record.frames.map(async ({ blob, ...frame }) => (blob ? { ...frame, src: await blobToDataUrl(blob) } : frame))
+    );
+};
+
+/**
+ * Removes stored strips exceeding video count and age limits, oldest first.
+ * Key cursor is used so image data is not loaded while pruning.
+ */
+const pruneStoredStrips = () =>
+    withStripStore('readwrite', store => {
+        const expired = Date.now() - storageConfig.maxAgeDays * 864e5;
+        const countRequest = store.count();
+        countRequest.onsuccess = () => {
+            let excess = countRequest.result - storageConfig.maxVideos;
+            const cursorRequest = store.index('updated').openKeyCursor();
+            cursorRequest.onsuccess = () => {
+                const cursor = cursorRequest.result;
+                if (!cursor || (excess <= 0 && cursor.key >= expired)) return;
+                store.delete(cursor.primaryKey);
+                excess--;
+                cursor.continue();
+            };
+        };
+    });
+
+/**
+ * Stores strip frames for the video and prunes old entries.
+ * Newest frames are kept within frame count and image size limits.
+ *
+ * @param {string} id Video id
+ * @param {string} title Video title
+ * @param {StoredFrame[]} frames Strip frames
+ *
+ * @returns {Promise<number>} number of stored frames
+ */
+const storeFrames = async (id, title, frames) => {
+    const { maxFramesPerVideo, maxBytesPerVideo } = storageConfig;
+    const kept = [];
+    let bytes = 0;
+    for (const frame of frames.slice(-maxFramesPerVideo).reverse()) {
+        bytes += frame.blob.size;
+        if (bytes > maxBytesPerVideo) break;
+        kept.unshift(frame);
+    }
+    if (kept.length < frames.length) {
+        console.warn(`#YtGr4 Only last ${kept.length} frames are kept in storage`);
+    }
+    const record = { id, title, updated: Date.now(), frames: kept };
+    await withStripStore('readwrite', store => store.put(record));
+    await pruneStoredStrips();
+    return kept.length;
+};
+
+/**
+ * Deletes stored strip of the video.
+ *
+ * @param {string} id Video id
+ */
+const deleteStoredFrames = id => withStripStore('readwrite', store => store.delete(id));
+
+/**
+ * Deletes all stored strips. Current strip is left on the page.
+ */
+const clearStoredStrips = async () => {
+    try {
+        await withStripStore('readwrite', store => store.clear());
+        showToast('Stored screenshots cleared');
+    } catch (error) {
+        console.error('#YtGr4 Clearing stored screenshots failed:', error);
+        showToast('Clearing stored screenshots failed', 'error');
+    }
+};
+
+/**
+ * Pending strip write, video id and title are taken when the change happens.
+ * Storage warnings are shown once, not on every write.
+ */
+const stripPersistence = {
+    timer: 0,
+    id: '',
+    title: '',
+    trimmedId: '', // video whose strip exceeded storage limits
+    failed: false,
+};
+
+/**
+ * Gets frame of strip image for storage.
+ * Image data is decoded to blob once per image, not on every write.
+ *
+ * @param {HTMLDivElement} imageContainer strip image container
+ *
+ * @returns {StoredFrame} frame to store
+ */
+const getStoredFrame = imageContainer => {
+    const { src } = imageContainer.querySelector('img');
+    if (!imageContainer.storedImage || imageContainer.storedImage.src !== src) {
+        imageContainer.storedImage = { src, blob: dataUrlToBlob(src) };
+    }
+    return { ...imageContainer.frame, blob: imageContainer.storedImage.blob, saved: !!imageContainer.saved };
+};
+
+/**
+ * Writes pending strip changes to storage right away.
+ * Frames are collected synchronously, strip can be destroyed right after the call.
+ * Empty or missing strip removes the stored entry.
+ */
+const flushScreenshotStrip = async () => {
+    const { timer, id, title } = stripPersistence;
+    if (!timer) return null;
+    clearTimeout(timer);
+    stripPersistence.timer = 0;
+    try {
+        const frames = getStripImageContainers().map(getStoredFrame);
+        if (!frames.length) {
+            await deleteStoredFrames(id);
+        } else {
+            const storedCount = await storeFrames(id, title, frames);
+            if (storedCount < frames.length && stripPersistence.trimmedId !== id) {
+                stripPersistence.trimmedId = id;
+                showToast(`Only last ${storedCount} screenshots of this video are kept after reload`, 'warning');
+            }
+        }
+        stripPersistence.failed = false;
+    } catch (error) {
+        console.warn('#YtGr4 Strip storage failed:', error);
+        if (!stripPersistence.failed) showToast('Storing screenshots failed, they are lost on reload', 'warning');
+        stripPersistence.failed = true;
+    }
+    return null;
+};
+
+/**
+ * Schedules writing strip frames to storage under current video id.
+ * Changes in quick succession (zip export, scene capture) are written once.
+ */
+const persistScreenshotStrip = () => {
+    if (!metaData.id) return null;
+    if (stripPersistence.id !== metaData.id) flushScreenshotStrip();
+    Object.assign(stripPersistence, { id: metaData.id, title: metaData.title });
+    clearTimeout(stripPersistence.timer);
+    stripPersistence.timer = setTimeout(flushScreenshotStrip, storageConfig.persistDelay);
+    return null;
+};
+
+/**
+ * Rebuilds the strip from storage if current video has stored frames.
+ */
+const restoreScreenshotStrip = async () => {
+    const id = metaData.id;
+    try {
+        const frames = await loadStoredFrames(id);
+        const isSameVideo = id === metaData.id;
+        if (!frames.length || !isSameVideo || document.querySelector('#screenshot-strip')) return null;
+        await waitForElement(getStripLayout().anchor || '.video-stream');
+        // A capture made while waiting has created the strip, stored frames were loaded into it then
+        if (id !== metaData.id || document.querySelector('#screenshot-strip')) return null;
+        await initScreenshotStrip(frames);
+    } catch (error) {
+        console.warn('#YtGr4 Strip restore failed:', error);
+    }
+    return null;
+};
+
 /**
  * Destroy the strip on url change (SPA specific), restore UI visibility, preload new thumbnail.
- * Prevents from transfering captured frames to a "new" video container.
+ * Prevents from transfering captured frames to a "new" video container,
+ * frames stored for the new video are brought back instead.
+ * Running range capture is cancelled, pending strip changes are stored under the old video id first.
  */
 const onUrlChange = () => {
+    if (metaData.rangeCapture) Object.assign(metaData.rangeCapture, { cancelled: true, navigated: true });
+    flushScreenshotStrip();
     destroyStrip();
-    toggleUIVisibility(true);
+    tagFilter.tag = '';
+    if (settings.cleanPlayer) startCleanPlayer();
     updateIdUrlsThumbnail();
+    restoreScreenshotStrip();
+    startFrameRateDetection();
 };
 
 /**
@@ -361,17 +1043,87 @@ const captureFrame = (videoStream, isResized) => {
     const width = isResized ? clientWidth : videoWidth;
     const height = isResized ? getResizedHeight() : videoHeight;
     const canvasFrame = getImageCanvasWithMeta(videoStream, width, height, time);
+    canvasFrame.mode = isResized ? 'viewport' : 'full';
+    canvasFrame.fps = getFrameRate(videoStream);
+    if (settings.burnCaptions) drawCaptions(canvasFrame.canvas, videoStream);
+    if (settings.stampEnabled) drawMetadataStamp(canvasFrame.canvas, time, canvasFrame.fps);
     return canvasFrame;
 };
 
 /**
- * Converts seconds into hh:mm:ss format
+ * Draws captions visible on the player onto the captured frame.
+ * Segments keep their on-screen position, font, colour and background, scaled to the canvas.
  *
- * @param {number} seconds interval expressed in seconds
- *
- * @returns {string} formatted time
+ * @param {HTMLCanvasElement} canvas captured frame
+ * @param {HTMLVideoElement} videoStream video element the frame was captured from
  */
-const hoursMinutesSeconds = seconds => {
+const drawCaptions = (canvas, videoStream) => {
+    const videoRect = videoStream.getBoundingClientRect();
+    if (!videoRect.width) return;
+    const scale = canvas.width / videoRect.width;
+    const ctx = canvas.getContext('2d');
+    ctx.textBaseline = 'middle';
+    document.querySelectorAll('.ytp-caption-segment').forEach(segment => {
+        const text = segment.textContent;
+        const rect = segment.getBoundingClientRect();
+        if (!text.trim() || !rect.width) return;
+        const style = getComputedStyle(segment);
+        const x = (rect.left - videoRect.left) * scale;
+        const y = (rect.top - videoRect.top) * scale;
+        ctx.fillStyle = style.backgroundColor;
+        ctx.fillRect(x, y, rect.width * scale, rect.height * scale);
+        ctx.font = `${style.fontStyle} ${style.fontWeight} ${parseFloat(style.fontSize) * scale}px ${style.fontFamily}`;
+        ctx.fillStyle = style.color;
+        ctx.fillText(text, x + parseFloat(style.paddingLeft) * scale, y + (rect.height * scale) / 2);
+    });
+};
+
+/**
+ * Draws chosen video details (title, frame time, short URL at frame time) in the configured corner.
+ * Text size follows the frame width so the stamp looks the same in full-size and viewport captures.
+ *
+ * @param {HTMLCanvasElement} canvas captured frame
+ * @param {number} time frame time
+ * @param {number} fps frame rate, 0 if unknown
+ */
+const drawMetadataStamp = (canvas, time, fps) => {
+    if (!metaData.title) setTitle();
+    const lines = [
+        settings.stampTitle && metaData.title,
+        settings.stampTime && formatFrameTime(time, fps),
+        settings.stampUrl && getFrameShortUrl(time),
+    ].filter(Boolean);
+    if (!lines.length) return;
+
+    const ctx = canvas.getContext('2d');
+    const fontSize = Math.max(12, Math.round(canvas.width / 64));
+    const padding = Math.round(fontSize / 2);
+    const lineHeight = Math.round(fontSize * 1.3);
+    ctx.font = `${fontSize}px Arial, sans-serif`;
+    const texts = lines.map(line => fitCanvasText(ctx, line, canvas.width * 0.6));
+    const boxWidth = Math.max(...texts.map(text => ctx.measureText(text).width)) + 2 * padding;
+    const boxHeight = texts.length * lineHeight + 2 * padding;
+    const [vertical, horizontal] = settings.stampCorner.split('-');
+    const x = horizontal === 'left' ? padding : canvas.width - boxWidth - padding;
+    const y = vertical === 'top' ? padding : canvas.height - boxHeight - padding;
+
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+    ctx.fillRect(x, y, boxWidth, boxHeight);
+    ctx.fillStyle = '#ffffff';
+    ctx.textBaseline = 'top';
+    texts.forEach((text, idx) =>
+        ctx.fillText(text, x + padding, y + padding + idx * lineHeight + (lineHeight - fontSize) / 2)
+    );
+};
+
+/**
+ * Converts seconds into hh:mm:ss format
+ *
+ * @param {number} seconds interval expressed in seconds
+ *
+ * @returns {string} formatted time
+ */
+const hoursMinutesSeconds = seconds => {
     return [3600, 60]
         .reduceRight(
             (p, b) => r => [Math.floor(r / b)].concat(p(r % b)),
@@ -403,78 +1155,334 @@ const generateElementId = (idLength, charSet) => {
 /**
  * Changes opacity of the saved screenshot in strip.
  * Removes attributes from the element to prevent from being selected directly.
+ *
+ * @param {HTMLAnchorElement} linkElement strip image link
+ * @param {boolean | undefined} skipStorage if true, strip is not written to storage (more images marked at once)
  **/
-const updateContainerAfterSave = linkElement => {
+const updateContainerAfterSave = (linkElement, skipStorage) => {
     linkElement.removeAttribute('href');
     linkElement.removeAttribute('download');
 
-    const imageContainer = linkElement.offsetParent;
+    const imageContainer = linkElement.closest('[id^="screenshot-"]');
     imageContainer.saved = true;
     imageContainer.style.opacity = '0.34567890';
+    if (!skipStorage) persistScreenshotStrip();
+};
+
+/**
+ * File name template tokens with descriptions shown in settings.
+ */
+const fileNameTokens = {
+    title: 'video title',
+    id: 'video id',
+    channel: 'channel name',
+    time: 'HH-MM-SS',
+    time_ms: 'HH-MM-SS.mmm',
+    frame: 'frame number, f1870',
+    width: 'image width',
+    height: 'image height',
+    mode: 'capture mode',
+    date: 'capture date, YYYY-MM-DD',
+    index: 'position in strip',
+};
+
+/**
+ * File name length limit in UTF-8 bytes, extension and duplicate suffix fit below 255 bytes.
+ */
+const maxFileNameBytes = 200;
+
+/**
+ * Windows reserved device names, invalid as a file name with any extension.
+ */
+const reservedFileNames = /^(con|prn|aux|nul|com\d|lpt\d)(\..*)?$/i;
+
+/**
+ * Makes file name valid on Windows, macOS and Linux.
+ * Replaces path separators, reserved and control characters, collapses whitespace,
+ * drops leading and trailing dots and spaces.
+ *
+ * @param {string} name file name without extension
+ *
+ * @returns {string} safe file name
+ */
+const sanitizeFileName = name => {
+    const safeName = name
+        .replace(/[<>:"/\\|?*\u0000-\u001f\u007f]/g, '_')
+        .replace(/\s+/g, ' ')
+        .replace(/^[\s.]+|[\s.]+$/g, '');
+    if (!safeName) return 'screenshot';
+    return reservedFileNames.test(safeName) ? `_${safeName}` : safeName;
+};
+
+/**
+ * Cuts text to UTF-8 byte length without splitting characters.
+ *
+ * @param {string} text text to cut
+ * @param {number} maxBytes byte limit
+ *
+ * @returns {string} text within the limit
+ */
+const truncateUtf8 = (text, maxBytes) => {
+    const encoder = new TextEncoder();
+    let result = '';
+    let bytes = 0;
+    for (const char of text) {
+        bytes += encoder.encode(char).length;
+        if (bytes > maxBytes) break;
+        result += char;
+    }
+    return result;
 };
 
 /**
- * Gets a screenshot image name from the video title.
+ * Fills file name or link template, unknown tokens are kept as they are.
+ *
+ * @param {string} template template with {token} placeholders
+ * @param {Object} values token values
+ *
+ * @returns {string} filled template
+ */
+const fillTemplate = (template, values) =>
+    template.replace(/\{(\w+)\}/g, (match, token) => (token in values ? `${values[token]}` : match));
+
+/**
+ * Gets a screenshot image name from the file name template.
+ * If the name is too long, the title is shortened first, then the whole name.
  *
- * @param {EventTarget} element Clicked element
+ * @param {HTMLDivElement} imageContainer strip image container
+ * @param {string | undefined} extension File extension, configured format's extension by default
+ * @param {number | undefined} index position among saved images, position in strip by default
  * @return {string} File name
  **/
-const getImageName = element => {
+const getImageName = (imageContainer, extension = getImageFormat().extension, index) => {
     if (!metaData.title) setTitle(); // In case, if  mutation observer misses
-    const videoTime = element.getAttribute('frame-time') || '00_00';
-    const videoTimeDashed = videoTime.replace(/_/g, '-');
-    const videoTitleTextWithTime = `${metaData.title} - ${videoTimeDashed}`;
-    const videoTitleTextWithTimeNoSpaces = videoTitleTextWithTime.replace(/\s/g, '_');
-    const fileName = `${videoTitleTextWithTimeNoSpaces}.png`;
-    return fileName;
+    if (!metaData.channel) setChannel();
+    const { time, fps, width, height, mode, capturedAt } = imageContainer.frame;
+    const imageContainers = getStripImageContainers();
+    const position = index === undefined ? imageContainers.indexOf(imageContainer) : index;
+    const date = new Date(capturedAt);
+    const pad = value => `${value}`.padStart(2, '0');
+    const values = {
+        title: metaData.title,
+        id: metaData.id,
+        channel: metaData.channel,
+        time: hoursMinutesSeconds(Math.trunc(time)).replace(/:/g, '-'),
+        time_ms: formatPreciseTime(time).replace(/:/g, '-'),
+        frame: fps ? `f${getFrameNumber(time, fps)}` : '',
+        width,
+        height,
+        mode,
+        date: `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`,
+        index: `${position + 1}`.padStart(Math.max(2, `${imageContainers.length}`.length), '0'),
+    };
+    const template = settings.fileNameTemplate || defaultSettings.fileNameTemplate;
+    const nameWithoutTitle = fillTemplate(template, { ...values, title: '' });
+    const titleBytes = maxFileNameBytes - new TextEncoder().encode(nameWithoutTitle).length;
+    values.title = truncateUtf8(values.title, Math.max(titleBytes, 0));
+    const fileName = truncateUtf8(sanitizeFileName(fillTemplate(template, values)), maxFileNameBytes);
+    return `${sanitizeFileName(fileName)}.${extension}`;
+};
+
+/**
+ * Toast queue, toasts are shown one at a time.
+ */
+const toasts = { queue: [], current: null };
+
+/**
+ * Toast styles, duration is in milliseconds.
+ */
+const toastTypes = {
+    success: { icon: '✔', color: 'rgba(0, 128, 0, 0.9)', duration: 2e3 },
+    warning: { icon: '⚠', color: 'rgba(170, 110, 0, 0.9)', duration: 35e2 },
+    error: { icon: '✖', color: 'rgba(160, 0, 0, 0.9)', duration: 5e3 },
 };
 
 /**
- * Creates a status overlay element for save feedback.
+ * Finds element to show toasts in: open preview, the player, or the fullscreen element
+ * when the player is not in it. Page body is the last resort.
  *
- * @param {string} message The message to display
- * @param {boolean} isSuccess Whether this is a success or error message
- * @returns {HTMLParagraphElement} Status overlay element
+ * @returns {HTMLElement} toast host
  */
-const createStatusOverlay = (message, isSuccess = true) => {
-    const overlay = createOverlayTextElement();
-    overlay.style.top = '50%';
-    overlay.style.left = '50%';
-    overlay.style.transform = 'translate(-50%, -50%)';
-    overlay.style['background-color'] = isSuccess ? 'rgba(0, 128, 0, 0.9)' : 'rgba(128, 0, 0, 0.9)';
-    overlay.style['z-index'] = '1000';
-    overlay.style.opacity = '0';
-    overlay.style.transition = 'opacity 0.3s ease-in-out';
-
-    const text = document.createTextNode(message);
-    overlay.appendChild(text);
+const getToastHost = () => {
+    const preview = document.querySelector('#image-modal');
+    if (preview) return preview;
+    const fullscreen = document.fullscreenElement;
+    const player = getPlayerElement();
+    if (player && (!fullscreen || fullscreen.contains(player))) return player;
+    return fullscreen || document.body;
+};
 
-    return overlay;
+/**
+ * Puts toast into current host, it is fixed to the viewport when there is no player.
+ *
+ * @param {HTMLDivElement} element toast element
+ */
+const attachToast = element => {
+    const host = getToastHost();
+    element.style.position = host === document.body ? 'fixed' : 'absolute';
+    host.appendChild(element);
 };
 
 /**
- * Shows a fading status message on the image container.
+ * Creates toast element.
  *
- * @param {HTMLElement} container The container to show the message on
- * @param {string} message The message to display
- * @param {boolean} isSuccess Whether this is a success or error message
+ * @param {string} message toast text
+ * @param {string} type key of toastTypes
+ *
+ * @returns {HTMLDivElement} toast element
+ */
+const createToastElement = (message, type) => {
+    const { icon, color } = toastTypes[type];
+    const element = document.createElement('div');
+    element.className = 'screenshot-toast';
+    element.setAttribute('role', type === 'error' ? 'alert' : 'status');
+    element.style.top = '12%';
+    element.style.left = '50%';
+    element.style.transform = 'translateX(-50%)';
+    element.style['max-width'] = '80%';
+    element.style.padding = '8px 14px';
+    element.style['border-radius'] = '4px';
+    element.style.color = 'var(--yt-spec-static-brand-white, #fff)';
+    element.style['background-color'] = color;
+    element.style['font-size'] = '14px';
+    element.style['line-height'] = '18px';
+    element.style['white-space'] = 'pre-line';
+    element.style['z-index'] = '10000';
+    element.style['pointer-events'] = 'none';
+    element.style.opacity = '0';
+    element.style.transition = 'opacity 0.3s ease-in-out';
+    element.textContent = `${icon} ${message}`;
+    return element;
+};
+
+/**
+ * Shows the next queued toast unless one is on screen.
  */
-const showStatusMessage = (container, message, isSuccess = true) => {
-    const statusOverlay = createStatusOverlay(message, isSuccess);
-    container.appendChild(statusOverlay);
+const showNextToast = () => {
+    if (toasts.current || !toasts.queue.length) return null;
+    const { message, type } = toasts.queue.shift();
+    const element = createToastElement(message, type);
+    attachToast(element);
+    toasts.current = element;
 
     setTimeout(() => {
-        statusOverlay.style.opacity = '1';
+        element.style.opacity = '1';
     }, 10);
 
     setTimeout(() => {
-        statusOverlay.style.opacity = '0';
+        element.style.opacity = '0';
         setTimeout(() => {
-            if (statusOverlay.parentNode) {
-                statusOverlay.parentNode.removeChild(statusOverlay);
-            }
+            element.remove();
+            toasts.current = null;
+            showNextToast();
         }, 300);
-    }, 3e3);
+    }, toastTypes[type].duration);
+    return null;
+};
+
+/**
+ * Queues toast over the player. Message already waiting is not queued twice,
+ * oldest waiting toasts are dropped beyond five.
+ *
+ * @param {string} message toast text
+ * @param {'success' | 'warning' | 'error' | undefined} type toast style
+ */
+const showToast = (message, type = 'success') => {
+    if (toasts.queue.some(toast => toast.message === message)) return null;
+    toasts.queue.push({ message, type });
+    if (toasts.queue.length > 5) toasts.queue.shift();
+    showNextToast();
+    return null;
+};
+
+/**
+ * Moves shown toast into fullscreen element or back to the player.
+ */
+const fullscreenChangeHandler = () => {
+    if (toasts.current) attachToast(toasts.current);
+};
+
+/**
+ * Decodes base64 data URL.
+ *
+ * @param {string} dataUrl base64 encoded data URL
+ *
+ * @returns {Blob} decoded data with the URL's mime type
+ */
+const dataUrlToBlob = dataUrl => {
+    const [header, base64] = dataUrl.split(',');
+    const type = header.replace(/^data:/, '').replace(/;base64$/, '');
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return new Blob([bytes], { type });
+};
+
+/**
+ * Encodes blob as base64 data URL.
+ *
+ * @param {Blob} blob data
+ *
+ * @returns {Promise<string>} data URL
+ */
+const blobToDataUrl = blob =>
+    new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+    });
+
+/**
+ * Gets configured image format for saving.
+ *
+ * @returns {{ label: string, mime: string, extension: string }} image format
+ */
+const getImageFormat = () => imageFormats[settings.imageFormat] || imageFormats.png;
+
+/**
+ * Encodes image in the configured format.
+ * Browsers without encoder for the format give PNG, extension follows the actual type.
+ * Animations are saved as they are, re-encoding would keep only the first frame.
+ * PNG and JPEG files get video provenance embedded.
+ *
+ * @param {HTMLImageElement} image - image element
+ *
+ * @returns {Promise<{ blob: Blob, extension: string }>} encoded image and its file extension
+ */
+const encodeImageForSave = async image => {
+    const imageContainer = image.closest('[id^="screenshot-"]');
+    if (imageContainer && imageContainer.frame && imageContainer.frame.mode === 'animation') {
+        const blob = dataUrlToBlob(image.src);
+        return {
+            blob: await embedImageMetadata(blob, imageContainer),
+            extension: blob.type === 'image/gif' ? 'gif' : 'png',
+        };
+    }
+    const { mime } = getImageFormat();
+    const blob = await convertImageToBlob(image, mime, settings.imageQuality / 100);
+    const actualFormat = Object.values(imageFormats).find(format => format.mime === blob.type) || imageFormats.png;
+    if (actualFormat.mime !== mime) showToast(`${mime} is not supported, saving as ${blob.type}`, 'warning');
+    return { blob: await embedImageMetadata(blob, imageContainer), extension: actualFormat.extension };
+};
+
+/**
+ * Downloads strip image in the configured format and marks it saved.
+ *
+ * @param {HTMLDivElement} imageContainer strip image container
+ */
+const saveStripImage = async imageContainer => {
+    const linkElement = imageContainer.firstChild;
+    const imageElement = imageContainer.querySelector('img');
+    const { blob, extension } = await encodeImageForSave(imageElement);
+    const objectUrl = URL.createObjectURL(blob);
+    linkElement.href = objectUrl;
+    linkElement.download = getImageName(imageContainer, extension);
+
+    linkElement.click();
+    setTimeout(() => URL.revokeObjectURL(objectUrl), 4e4); // download has to start before url is released
+    setTimeout(() => updateContainerAfterSave(linkElement), 100);
+    showToast(`Saved ${linkElement.download}`);
 };
 
 /**
@@ -482,811 +1490,5032 @@ const showStatusMessage = (container, message, isSuccess = true) => {
  *
  * @param {Event} event click event
  **/
-const saveImageEventHandler = event => {
+const saveImageEventHandler = async event => {
     event.preventDefault();
     const target = event.target;
-    const linkElement = target.offsetParent;
-    const imageContainer = linkElement.offsetParent;
+    const imageContainer = target.closest('[id^="screenshot-"]');
 
     target.style.cursor = 'wait';
     target.textContent = 'Saving...';
     target.style.opacity = '0.7';
 
     try {
-        const imageElement = linkElement.firstChild.firstChild;
-        linkElement.href = imageElement.src;
-        const imageFileName = getImageName(target);
-        linkElement.download = imageFileName;
-
-        linkElement.click();
+        await saveStripImage(imageContainer);
 
         setTimeout(() => {
-            updateContainerAfterSave(linkElement);
             target.textContent = 'Save';
             target.style.cursor = 'pointer';
             target.style.opacity = '0.5';
-            showStatusMessage(imageContainer, 'SAVED!', true);
         }, 100);
     } catch (error) {
         console.error('#YtGr4 Save failed:', error);
         target.textContent = 'Save';
         target.style.cursor = 'pointer';
         target.style.opacity = '1';
-        showStatusMessage(imageContainer, 'FAILED!', false);
+        showToast('Save failed', 'error');
     }
 };
 
 /**
- * Removes image from the strip.
+ * Downloads blob with a temporary link element.
  *
- * @param {Event} event - click event
- **/
-const removeImageEventHandler = event => {
-    event.preventDefault();
-    const screenshotStrip = document.querySelector('#screenshot-strip');
-    const imageContainer = event.target.offsetParent.offsetParent;
-    const singleScreenshot = screenshotStrip.childElementCount === 1;
-    singleScreenshot ? screenshotStrip.remove() : imageContainer.remove();
+ * @param {Blob} blob file data
+ * @param {string} fileName download file name
+ */
+const downloadBlob = (blob, fileName) => {
+    const objectUrl = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = objectUrl;
+    link.download = fileName;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(objectUrl), 4e4);
 };
 
-/**
- * @typedef {Object} TextOverlayData
- * @property {boolean | undefined} data.active - if element is active, mouse cursor is changed to 'pointer'
- */
+let crc32Table = null;
 
 /**
- * Creates overlay text element.
+ * Calculates CRC-32 checksum, as used by ZIP and PNG.
  *
- * @param {TextOverlayData | undefined} data - config options for overlay element
+ * @param {Uint8Array} bytes data
+ * @param {number | undefined} crc checksum to continue from
  *
- * @returns { HTMLParagraphElement } Returns empty overlay information element
+ * @returns {number} unsigned checksum
  */
-const createOverlayTextElement = (data = {}) => {
-    const { active } = data;
-    const element = document.createElement('p');
-    element.style.position = 'absolute';
-    element.style.margin = '4px';
-    element.style.color = 'var(--yt-spec-static-brand-white)';
-    element.style['background-color'] = 'var(--yt-spec-static-overlay-background-heavy)';
-    element.style.padding = '3px 4px';
-    element.style.height = '12px';
-    element.style['border-radius'] = '2px';
-    element.style['font-size'] = 'var(--yt-badge-font-size,1.2rem)';
-    element.style['font-weight'] = '500';
-    element.style['line-height'] = 'var(--yt-badge-line-height-size,1.2rem)';
-    element.style['letter-spacing'] = 'var(--yt-badge-letter-spacing,0.5px)';
-    element.style.cursor = active ? 'pointer' : 'default';
-    return element;
+const crc32 = (bytes, crc = 0) => {
+    if (!crc32Table) {
+        crc32Table = new Uint32Array(256).map((_, n) => {
+            let c = n;
+            for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            return c;
+        });
+    }
+    let c = crc ^ 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) c = crc32Table[(c ^ bytes[i]) & 0xff] ^ (c >>> 8);
+    return (c ^ 0xffffffff) >>> 0;
 };
 
 /**
- * Creates overlay displaying captured frame time in video.
+ * @typedef {Object} ZipEntry
+ * @property {string} name File path inside archive
+ * @property {Uint8Array} data File content
+ * @property {Date | undefined} date Modification date, now by default
+ */
+
+/**
+ * Builds uncompressed (stored) ZIP archive.
+ * Images are compressed already, deflating them again gains next to nothing.
  *
- * @param {number} time frame time location in video
+ * @param {ZipEntry[]} entries archive files
  *
- * @returns {HTMLAnchorElement} Returns clickable time overlay link element
+ * @returns {Blob} ZIP archive
  */
-const createTimeOverlayElement = time => {
-    const timeLink = document.createElement('a');
-
-    const timestampSeconds = Math.trunc(time);
-    const currentUrl = new URL(location.href);
-    currentUrl.searchParams.set('t', `${timestampSeconds}s`);
-
-    timeLink.href = currentUrl.toString();
-
-    timeLink.addEventListener('click', event => {
-        event.preventDefault();
+const createZipArchive = entries => {
+    const encoder = new TextEncoder();
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    entries.forEach(({ name, data, date = new Date() }) => {
+        const nameBytes = encoder.encode(name);
+        const crc = crc32(data);
+        const dosTime = (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1);
+        const dosDate = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034b50, true); // local file header signature
+        local.setUint16(4, 20, true); // version needed
+        local.setUint16(6, 0x0800, true); // UTF-8 names
+        local.setUint16(8, 0, true); // stored
+        local.setUint16(10, dosTime, true);
+        local.setUint16(12, dosDate, true);
+        local.setUint32(14, crc, true);
+        local.setUint32(18, data.length, true);
+        local.setUint32(22, data.length, true);
+        local.setUint16(26, nameBytes.length, true);
+        localParts.push(local, nameBytes, data);
+
+        const central = new DataView(new ArrayBuffer(46));
+        central.setUint32(0, 0x02014b50, true); // central directory header signature
+        central.setUint16(4, 20, true); // version made by
+        central.setUint16(6, 20, true); // version needed
+        central.setUint16(8, 0x0800, true);
+        central.setUint16(10, 0, true);
+        central.setUint16(12, dosTime, true);
+        central.setUint16(14, dosDate, true);
+        central.setUint32(16, crc, true);
+        central.setUint32(20, data.length, true);
+        central.setUint32(24, data.length, true);
+        central.setUint16(28, nameBytes.length, true);
+        central.setUint32(42, offset, true); // local header offset
+        centralParts.push(central, nameBytes);
+
+        offset += 30 + nameBytes.length + data.length;
+    });
 
-        // Set flag to prevent URL change detection from destroying the strip
-        metaData.seekingByScript = true;
+    const centralSize = centralParts.reduce((size, part) => size + part.byteLength, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true); // end of central directory signature
+    end.setUint16(8, entries.length, true);
+    end.setUint16(10, entries.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
 
-        const newUrl = currentUrl.toString();
-        window.history.pushState(null, '', newUrl);
+    return new Blob([...localParts, ...centralParts, end], { type: 'application/zip' });
+};
 
-        const videoElement = document.querySelector('.video-stream');
-        if (videoElement) {
-            videoElement.currentTime = timestampSeconds;
-            console.log(`#YtGr4 Seeked to ${timestampSeconds}s`);
-        } else {
-            console.warn('#YtGr4 Video element not found for seeking');
-            metaData.seekingByScript = false;
+/**
+ * Reduces colors to a palette with median cut over 15-bit colors.
+ *
+ * @param {Uint8ClampedArray[]} pixelArrays RGBA pixel data of all frames
+ * @param {number} maxColors palette size
+ *
+ * @returns {number[][]} palette of [r, g, b]
+ */
+const quantizeColors = (pixelArrays, maxColors) => {
+    const counts = new Uint32Array(32768);
+    pixelArrays.forEach(pixels => {
+        for (let i = 0; i < pixels.length; i += 4) {
+            counts[((pixels[i] >> 3) << 10) | ((pixels[i + 1] >> 3) << 5) | (pixels[i + 2] >> 3)]++;
         }
     });
+    const colors = [];
+    counts.forEach((count, color) => count && colors.push(color));
+
+    const channel = (color, shift) => (color >> shift) & 31;
+    const getRange = box => {
+        const ranges = [10, 5, 0].map(shift => {
+            const values = box.map(color => channel(color, shift));
+            return { shift, range: Math.max(...values) - Math.min(...values) };
+        });
+        return ranges.reduce((widest, range) => (range.range > widest.range ? range : widest));
+    };
 
-    timeLink.style.position = 'absolute';
-    timeLink.style.bottom = '0';
-    timeLink.style.right = '0';
-    timeLink.style.margin = '4px';
-    timeLink.style.color = 'var(--yt-spec-static-brand-white)';
-    timeLink.style['background-color'] = 'var(--yt-spec-static-overlay-background-heavy)';
-    timeLink.style.padding = '3px 4px';
-    timeLink.style.height = '12px';
-    timeLink.style['border-radius'] = '2px';
-    timeLink.style['font-size'] = 'var(--yt-badge-font-size,1.2rem)';
-    timeLink.style['font-weight'] = '500';
-    timeLink.style['line-height'] = 'var(--yt-badge-line-height-size,1.2rem)';
-    timeLink.style['letter-spacing'] = 'var(--yt-badge-letter-spacing,0.5px)';
-    timeLink.style.cursor = 'pointer';
-    timeLink.style['text-decoration'] = 'none';
-    timeLink.style.transition = 'background-color 0.2s ease';
+    const boxes = [colors];
+    while (boxes.length < maxColors) {
+        let widestIndex = -1;
+        let widest = { range: 0 };
+        boxes.forEach((box, idx) => {
+            if (box.length < 2) return;
+            const range = getRange(box);
+            if (range.range > widest.range) {
+                widest = range;
+                widestIndex = idx;
+            }
+        });
+        if (widestIndex < 0) break;
+
+        const box = boxes[widestIndex].sort((a, b) => channel(a, widest.shift) - channel(b, widest.shift));
+        const total = box.reduce((sum, color) => sum + counts[color], 0);
+        let half = 0;
+        let split = 0;
+        while (split < box.length - 1 && half < total / 2) half += counts[box[split++]];
+        split = Math.max(1, split);
+        boxes.splice(widestIndex, 1, box.slice(0, split), box.slice(split));
+    }
 
-    timeLink.addEventListener('mouseenter', () => {
-        timeLink.style['background-color'] = 'rgba(255, 255, 255, 0.2)';
+    return boxes.map(box => {
+        const total = box.reduce((sum, color) => sum + counts[color], 0);
+        return [10, 5, 0].map(shift => {
+            const sum = box.reduce((acc, color) => acc + channel(color, shift) * counts[color], 0);
+            return Math.min(255, Math.round((sum / total) * 8 + 4));
+        });
     });
+};
 
-    timeLink.addEventListener('mouseleave', () => {
-        timeLink.style['background-color'] = 'var(--yt-spec-static-overlay-background-heavy)';
-    });
+/**
+ * Maps pixels to nearest palette color indices, nearest colors are cached per 15-bit color.
+ *
+ * @param {Uint8ClampedArray} pixels RGBA pixel data
+ * @param {number[][]} palette palette of [r, g, b]
+ * @param {Int16Array} cache 32768 entries, -1 for not yet mapped colors
+ *
+ * @returns {Uint8Array} palette index of each pixel
+ */
+const mapToPalette = (pixels, palette, cache) => {
+    const indices = new Uint8Array(pixels.length / 4);
+    for (let i = 0; i < indices.length; i++) {
+        const r = pixels[i * 4];
+        const g = pixels[i * 4 + 1];
+        const b = pixels[i * 4 + 2];
+        const key = ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3);
+        if (cache[key] < 0) {
+            let nearest = 0;
+            let nearestDistance = Infinity;
+            palette.forEach(([pr, pg, pb], idx) => {
+                const distance = (pr - r) ** 2 + (pg - g) ** 2 + (pb - b) ** 2;
+                if (distance < nearestDistance) {
+                    nearestDistance = distance;
+                    nearest = idx;
+                }
+            });
+            cache[key] = nearest;
+        }
+        indices[i] = cache[key];
+    }
+    return indices;
+};
 
-    const currentVideoTime = hoursMinutesSeconds(timestampSeconds);
-    timeLink.textContent = currentVideoTime;
-    timeLink.title = `Jump to ${currentVideoTime}`;
+/**
+ * Compresses palette indices with GIF flavoured LZW, variable code size up to 12 bits.
+ *
+ * @param {Uint8Array} indices palette index of each pixel
+ * @param {number} minCodeSize LZW minimum code size, 8 for 256 colors
+ *
+ * @returns {Uint8Array} compressed data, not yet split into sub-blocks
+ */
+const lzwEncode = (indices, minCodeSize) => {
+    const clearCode = 1 << minCodeSize;
+    const endCode = clearCode + 1;
+    const output = [];
+    let codeSize = minCodeSize + 1;
+    let nextCode = endCode + 1;
+    let dictionary = new Map();
+    let bitBuffer = 0;
+    let bitCount = 0;
+
+    const writeCode = code => {
+        bitBuffer |= code << bitCount;
+        bitCount += codeSize;
+        while (bitCount >= 8) {
+            output.push(bitBuffer & 0xff);
+            bitBuffer >>>= 8;
+            bitCount -= 8;
+        }
+    };
 
-    return timeLink;
+    writeCode(clearCode);
+    let prefix = indices[0];
+    for (let i = 1; i < indices.length; i++) {
+        const index = indices[i];
+        const key = (prefix << 8) | index;
+        const code = dictionary.get(key);
+        if (code !== undefined) {
+            prefix = code;
+            continue;
+        }
+        writeCode(prefix);
+        if (nextCode === 4096) {
+            writeCode(clearCode);
+            dictionary = new Map();
+            codeSize = minCodeSize + 1;
+            nextCode = endCode + 1;
+        } else {
+            if (nextCode >= 1 << codeSize) codeSize++;
+            dictionary.set(key, nextCode++);
+        }
+        prefix = index;
+    }
+    writeCode(prefix);
+    writeCode(endCode);
+    if (bitCount > 0) output.push(bitBuffer & 0xff);
+
+    return new Uint8Array(output);
 };
 
 /**
- * Creates overlay displaying width of the captured image.
+ * @typedef {Object} AnimationFrame
+ * @property {ImageData} imageData frame pixels, all frames of the same size
+ * @property {number} delay frame duration in milliseconds
+ */
+
+/**
+ * Encodes looping animated GIF with one 256 color palette for all frames.
  *
- * @param {number} width frame with
+ * @param {AnimationFrame[]} frames animation frames
  *
- * @returns {HTMLParagraphElement} Returns image width overlay element
+ * @returns {Blob} GIF image
  */
-const createWidthOverlayElement = width => {
-    const overlay = createOverlayTextElement();
-    overlay.style.bottom = '0';
-    overlay.style.left = '0';
+const encodeGif = frames => {
+    const { width, height } = frames[0].imageData;
+    const palette = quantizeColors(
+        frames.map(frame => frame.imageData.data),
+        256
+    );
+    while (palette.length < 256) palette.push([0, 0, 0]);
+    const cache = new Int16Array(32768).fill(-1);
+    const parts = [];
+    const bytes = values => parts.push(new Uint8Array(values));
+    const word = value => [value & 0xff, (value >> 8) & 0xff];
+
+    parts.push(new TextEncoder().encode('GIF89a'));
+    bytes([...word(width), ...word(height), 0xf7, 0, 0]); // global color table, 256 entries
+    bytes(palette.flat());
+    bytes([0x21, 0xff, 11, ...new TextEncoder().encode('NETSCAPE2.0'), 3, 1, 0, 0, 0]); // loop forever
+
+    frames.forEach(({ imageData, delay }) => {
+        // Browsers slow down shorter delays, 16-bit field caps longer ones
+        const delayCentiseconds = Math.min(Math.max(2, Math.round(delay / 10)), 0xffff);
+        bytes([0x21, 0xf9, 4, 0x04, ...word(delayCentiseconds), 0, 0]); // graphic control, do not dispose
+        bytes([0x2c, 0, 0, 0, 0, ...word(width), ...word(height), 0]);
+        const data = lzwEncode(mapToPalette(imageData.data, palette, cache), 8);
+        bytes([8]);
+        for (let offset = 0; offset < data.length; offset += 255) {
+            const block = data.subarray(offset, offset + 255);
+            bytes([block.length]);
+            parts.push(block);
+        }
+        bytes([0]);
+    });
+    bytes([0x3b]);
 
-    const text = document.createTextNode(`${width}px`);
-    overlay.appendChild(text);
-    return overlay;
+    return new Blob(parts, { type: 'image/gif' });
 };
 
 /**
- * Writes image blob data to clipboard.
+ * Splits PNG file into chunks.
  *
- * @param {Blob} blob - something from Playdead's Inside finale
- * @returns {Promise<boolean>} Promise that resolves to true on success, false on failure
+ * @param {Uint8Array} png PNG file
+ *
+ * @returns {{ type: string, data: Uint8Array }[]} chunks in file order
  */
-const writeBlobToClipboard = async blob => {
-    try {
-        const clipboardItemInput = new ClipboardItem({ 'image/png': blob });
-        await navigator.clipboard.write([clipboardItemInput]);
-        console.log('#YtGr4 Image copied.');
-        return true;
-    } catch (error) {
-        console.warn('#YtGr4 Image copy to clipboard failed:', error);
-        return false;
+const readPngChunks = png => {
+    const view = new DataView(png.buffer, png.byteOffset, png.byteLength);
+    const chunks = [];
+    for (let offset = 8; offset < png.length;) {
+        const length = view.getUint32(offset);
+        const type = String.fromCharCode(...png.subarray(offset + 4, offset + 8));
+        chunks.push({ type, data: png.subarray(offset + 8, offset + 8 + length) });
+        offset += 12 + length;
     }
+    return chunks;
 };
 
 /**
- * Converts loaded image to a blob.
+ * Creates PNG chunk with length and CRC.
  *
- * @param {HTMLImageElement} image - image element
+ * @param {string} type Four letter chunk type
+ * @param {Uint8Array} data Chunk data
  *
- * @returns {Promise<Blob>} binary large object!
+ * @returns {Uint8Array} chunk bytes
  */
-const convertImageToBlob = async image => {
-    const width = image.naturalWidth;
-    const height = image.naturalHeight;
-    const canvas = getCanvas({ image, width, height });
-    const blob = await new Promise(resolve => canvas.toBlob(resolve));
-    canvas.onerror = err => console.error('#YtGr4 Canvas error:', err);
-    return blob;
+const createPngChunk = (type, data) => {
+    const chunk = new Uint8Array(12 + data.length);
+    const view = new DataView(chunk.buffer);
+    view.setUint32(0, data.length);
+    chunk.set(new TextEncoder().encode(type), 4);
+    chunk.set(data, 8);
+    view.setUint32(8 + data.length, crc32(chunk.subarray(4, 8 + data.length)));
+    return chunk;
 };
 
 /**
- * Creates HTMLImageElement with provided image.
+ * Encodes looping APNG, frames are compressed by the browser's PNG encoder.
  *
- * @param {string} base64img - image encoded to base64 string
+ * @param {AnimationFrame[]} frames animation frames
  *
- * @returns {Promise<Image>} - the image element
+ * @returns {Promise<Blob>} APNG image
  */
-const createImageElement = base64img => {
-    return new Promise(resolve => {
-        const image = new Image();
-        image.addEventListener('load', () => {
-            resolve(image);
-        });
-        image.addEventListener('error', err => {
-            console.error('#YtGr4 Error encountered while handling image:', err);
-        });
-        image.src = base64img;
-    });
+const encodeApng = async frames => {
+    const { width, height } = frames[0].imageData;
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d');
+
+    const parts = [new Uint8Array([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])];
+    let sequence = 0;
+    for (const [idx, { imageData, delay }] of frames.entries()) {
+        ctx.putImageData(imageData, 0, 0);
+        const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+        const chunks = readPngChunks(new Uint8Array(await blob.arrayBuffer()));
+
+        if (idx === 0) {
+            parts.push(createPngChunk('IHDR', chunks.find(chunk => chunk.type === 'IHDR').data));
+            const animationControl = new DataView(new ArrayBuffer(8));
+            animationControl.setUint32(0, frames.length);
+            animationControl.setUint32(4, 0); // loop forever
+            parts.push(createPngChunk('acTL', new Uint8Array(animationControl.buffer)));
+        }
+
+        const frameControl = new DataView(new ArrayBuffer(26));
+        frameControl.setUint32(0, sequence++);
+        frameControl.setUint32(4, width);
+        frameControl.setUint32(8, height);
+        // Delay is 16-bit: milliseconds, gaps over 65.535 s in centiseconds, capped
+        const isLongDelay = Math.round(delay) > 0xffff;
+        frameControl.setUint16(20, isLongDelay ? Math.min(Math.round(delay / 10), 0xffff) : Math.round(delay));
+        frameControl.setUint16(22, isLongDelay ? 100 : 1000);
+        parts.push(createPngChunk('fcTL', new Uint8Array(frameControl.buffer)));
+
+        chunks
+            .filter(chunk => chunk.type === 'IDAT')
+            .forEach(({ data }) => {
+                if (idx === 0) return parts.push(createPngChunk('IDAT', data));
+                const frameData = new Uint8Array(4 + data.length);
+                new DataView(frameData.buffer).setUint32(0, sequence++);
+                frameData.set(data, 4);
+                return parts.push(createPngChunk('fdAT', frameData));
+            });
+    }
+    parts.push(createPngChunk('IEND', new Uint8Array(0)));
+
+    return new Blob(parts, { type: 'image/png' });
 };
 
 /**
- * Handles click on image copy overlay.
+ * Collects provenance of a strip image to embed into the saved file.
  *
- * @param {Event} event event triggered by clicking the copy overlay element
+ * @param {HTMLDivElement} imageContainer strip image container
+ *
+ * @returns {Object} video id, title, short URL at frame time, frame time, resolution, capture mode and date,
+ *          note and tags
  */
-const copyImageEventHandler = async event => {
-    event.preventDefault();
-    const target = event.target;
-    const linkElement = target.offsetParent;
-    const imageContainer = linkElement.offsetParent;
-
-    target.style.cursor = 'wait';
-    target.textContent = 'Copying...';
-    target.style.opacity = '0.7';
-
-    try {
-        const targetImageElement = target.offsetParent.firstChild.firstChild;
-        const imageBase64Data = targetImageElement.src;
-        const newImageElement = await createImageElement(imageBase64Data);
-        const blob = await convertImageToBlob(newImageElement);
-        const success = await writeBlobToClipboard(blob);
-
-        target.textContent = 'Copy';
-        target.style.cursor = 'pointer';
-        target.style.opacity = '0.5';
-
-        if (success) {
-            showStatusMessage(imageContainer, 'COPIED!', true);
-        } else {
-            showStatusMessage(imageContainer, 'COPY FAILED!', false);
-        }
-    } catch (error) {
-        console.error('#YtGr4 Copy operation failed:', error);
-        target.textContent = 'Copy';
-        target.style.cursor = 'pointer';
-        target.style.opacity = '1';
-        showStatusMessage(imageContainer, 'COPY FAILED!', false);
-    }
+const getImageProvenance = imageContainer => {
+    if (!metaData.title) setTitle();
+    const { time, fps, width, height, mode, capturedAt, note, tags } = imageContainer.frame;
+    const frameTime = formatFrameTime(time, fps);
+    return {
+        note,
+        tags,
+        id: metaData.id,
+        title: metaData.title,
+        url: getFrameShortUrl(time),
+        frameTime,
+        seconds: time.toFixed(3),
+        width,
+        height,
+        mode,
+        captured: new Date(capturedAt),
+        description: `${metaData.title} at ${frameTime}`,
+        software: 'Youtube frame capture',
+    };
 };
 
 /**
- * Creates screenshot COPY overlay.
+ * Escapes text for XML content and attributes.
  *
- * @returns {HTMLParagraphElement} Returns copy overlay element
- **/
-const createCopyOverlayElement = () => {
-    const overlay = createOverlayTextElement({ active: true });
-    overlay.style.top = '0';
-    overlay.style.right = '0';
-
-    const text = document.createTextNode('Copy');
-    overlay.appendChild(text);
-
-    overlay.addEventListener('click', copyImageEventHandler, false);
+ * @param {string | number} text raw text
+ *
+ * @returns {string} escaped text
+ */
+const escapeXml = text =>
+    `${text}`.replace(/[<>&"]/g, char => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;' })[char]);
 
-    return overlay;
+/**
+ * Builds XMP packet with Dublin Core, XMP and Exif fields plus script's own namespace for frame details.
+ *
+ * @param {Object} provenance data from getImageProvenance
+ *
+ * @returns {string} XMP packet
+ */
+const createXmpPacket = provenance => {
+    const { id, title, url, frameTime, seconds, width, height, mode, captured, description, software } = provenance;
+    const { note, tags } = provenance;
+    const alt = text => `<rdf:Alt><rdf:li xml:lang="x-default">${escapeXml(text)}</rdf:li></rdf:Alt>`;
+    return [
+        '<?xpacket begin="\uFEFF" id="W5M0MpCehiHzreSzNTczkc9d"?>',
+        '<x:xmpmeta xmlns:x="adobe:ns:meta/">',
+        '<rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">',
+        '<rdf:Description rdf:about=""',
+        ' xmlns:dc="http://purl.org/dc/elements/1.1/"',
+        ' xmlns:xmp="http://ns.adobe.com/xap/1.0/"',
+        ' xmlns:exif="http://ns.adobe.com/exif/1.0/"',
+        ' xmlns:ytgr4="https://github.com/stroncis/ns/ytgr4/1.0/">',
+        `<dc:title>${alt(title)}</dc:title>`,
+        `<dc:description>${alt(description)}</dc:description>`,
+        `<dc:source>${escapeXml(url)}</dc:source>`,
+        `<dc:identifier>${escapeXml(id)}</dc:identifier>`,
+        `<xmp:CreateDate>${captured.toISOString()}</xmp:CreateDate>`,
+        `<xmp:CreatorTool>${software}</xmp:CreatorTool>`,
+        `<exif:PixelXDimension>${width}</exif:PixelXDimension>`,
+        `<exif:PixelYDimension>${height}</exif:PixelYDimension>`,
+        `<ytgr4:VideoId>${escapeXml(id)}</ytgr4:VideoId>`,
+        `<ytgr4:FrameTime>${frameTime}</ytgr4:FrameTime>`,
+        `<ytgr4:FrameSeconds>${seconds}</ytgr4:FrameSeconds>`,
+        `<ytgr4:CaptureMode>${mode}</ytgr4:CaptureMode>`,
+        note ? `<ytgr4:Note>${escapeXml(note)}</ytgr4:Note>` : '',
+        tags.length
+            ? `<dc:subject><rdf:Bag>${tags.map(tag => `<rdf:li>${escapeXml(tag)}</rdf:li>`).join('')}</rdf:Bag></dc:subject>`
+            : '',
+        '</rdf:Description>',
+        '</rdf:RDF>',
+        '</x:xmpmeta>',
+        '<?xpacket end="w"?>',
+    ]
+        .filter(Boolean)
+        .join('\n');
 };
 
 /**
- * Creates screenshot SAVE overlay.
+ * Creates PNG text chunk, tEXt if text fits Latin-1, UTF-8 iTXt otherwise.
  *
- * @param {number} time frame time location in video
+ * @param {string} keyword chunk keyword, Latin-1
+ * @param {string} text chunk text
  *
- * @returns {HTMLParagraphElement} Returns save overlay element
+ * @returns {Uint8Array} PNG chunk
  */
-const createSaveOverlayElement = time => {
-    const overlay = createOverlayTextElement({ active: true });
-    overlay.style.top = '20px'; // 4+12+4
-    overlay.style.right = '0';
-
-    const text = document.createTextNode('Save');
-    overlay.appendChild(text);
-
-    const currentVideoTime = hoursMinutesSeconds(Math.trunc(time));
-    const timeString = currentVideoTime.split(':').join('_');
-    overlay.setAttribute('frame-time', timeString);
-    overlay.addEventListener('click', saveImageEventHandler, false);
-
-    return overlay;
+const createPngTextChunk = (keyword, text) => {
+    const latin1 = value => Uint8Array.from(value, char => char.charCodeAt(0));
+    if (/^[\x20-\xff\n]*$/.test(text)) return createPngChunk('tEXt', latin1(`${keyword}\0${text}`));
+    const utf8 = new TextEncoder().encode(text);
+    const header = latin1(`${keyword}\0\0\0\0\0`); // no compression, empty language and translated keyword
+    const data = new Uint8Array(header.length + utf8.length);
+    data.set(header);
+    data.set(utf8, header.length);
+    return createPngChunk('iTXt', data);
 };
 
 /**
- * Creates screenshot REMOVE overlay.
+ * Adds provenance text chunks and XMP to PNG, right after IHDR so readers stopping at image data find them.
  *
- * @returns {HTMLParagraphElement} overlay element to remove frame from strip
- **/
-const createRemoveOverlayElement = () => {
-    const overlay = createOverlayTextElement({ active: true });
-    overlay.style.top = '0';
-    overlay.style.left = '0';
-
-    const text = document.createTextNode('Remove');
-    overlay.appendChild(text);
-
-    overlay.addEventListener('click', removeImageEventHandler, false);
-
-    return overlay;
+ * @param {Uint8Array} png PNG file
+ * @param {Object} provenance data from getImageProvenance
+ *
+ * @returns {Blob} PNG with metadata
+ */
+const addPngMetadata = (png, provenance) => {
+    const { id, title, url, frameTime, seconds, width, height, mode, captured, description, software } = provenance;
+    const texts = {
+        Title: title,
+        Description: description,
+        Source: url,
+        'Creation Time': captured.toUTCString(),
+        Software: software,
+        'YouTube Video ID': id,
+        'Frame Time': frameTime,
+        'Frame Seconds': seconds,
+        Resolution: `${width}x${height}`,
+        'Capture Mode': mode,
+    };
+    if (provenance.note) texts.Comment = provenance.note;
+    if (provenance.tags.length) texts.Keywords = provenance.tags.join(', ');
+    const chunks = Object.entries(texts).map(([keyword, text]) => createPngTextChunk(keyword, `${text}`));
+    chunks.push(createPngTextChunk('XML:com.adobe.xmp', createXmpPacket(provenance)));
+    const ihdrEnd = 8 + 12 + 13; // signature, IHDR chunk with 13 data bytes
+    return new Blob([png.subarray(0, ihdrEnd), ...chunks, png.subarray(ihdrEnd)], { type: 'image/png' });
 };
 
 /**
- * Waits for an element in DOM.
- * Could be done without blocking, though i see no reason for a single purpose script.
+ * Formats date as Exif local date time.
+ *
+ * @param {Date} date date
+ *
+ * @returns {{ dateTime: string, offset: string }} 'YYYY:MM:DD HH:MM:SS' and '+HH:MM' time zone offset
  */
-const waitForElement = selector => {
-    return new Promise(resolve => {
-        if (document.querySelector(selector)) {
-            return resolve(document.querySelector(selector));
-        }
-
-        const observer = new MutationObserver(() => {
-            if (document.querySelector(selector)) {
-                resolve(document.querySelector(selector));
-                observer.disconnect();
-            }
-        });
-
-        observer.observe(document.body, {
-            childList: true,
-            subtree: true,
-        });
-
-        return null;
-    });
+const formatExifDate = date => {
+    const pad = value => `${value}`.padStart(2, '0');
+    const offsetMinutes = -date.getTimezoneOffset();
+    const sign = offsetMinutes < 0 ? '-' : '+';
+    const dateText = `${date.getFullYear()}:${pad(date.getMonth() + 1)}:${pad(date.getDate())}`;
+    const timeText = `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+    return {
+        dateTime: `${dateText} ${timeText}`,
+        offset: `${sign}${pad(Math.trunc(Math.abs(offsetMinutes) / 60))}:${pad(Math.abs(offsetMinutes) % 60)}`,
+    };
 };
 
 /**
- * Creates screenshot image container.
- * Adds event listeners for image opacity.
+ * Writes big-endian TIFF image file directory, values longer than 4 bytes follow the directory.
  *
- * @param {number} time - time of the frame
+ * @param {{ tag: number, type: number, value: number | Uint8Array }[]} entries entries sorted by tag,
+ *        number values are LONG, byte values are ASCII (2) or UNDEFINED (7)
+ * @param {number} offset directory offset from TIFF header start
  *
- * @returns {HTMLDivElement} Returns div image container
- **/
-const createImageContainer = time => {
-    const element = document.createElement('div');
-    element.style.display = 'inline-block';
-    element.style.position = 'relative';
-    element.style['margin-right'] = '8px';
-    element.style.height = '94px';
-    element.style.width = '168px';
-    element.style.opacity = '0.9';
-    element.style.transition = 'opacity 0.25s';
-    element.id = `screenshot-${generateElementId(6)}-${time}`;
-
-    element.addEventListener('mouseenter', () => {
-        element.style.opacity = '1';
-    });
-
-    element.addEventListener('mouseleave', () => {
-        element.style.opacity = element.saved ? '0.3' : '0.9';
+ * @returns {Uint8Array} directory with its data
+ */
+const createTiffIfd = (entries, offset) => {
+    const directorySize = 2 + entries.length * 12 + 4;
+    const dataSize = entries.reduce(
+        (size, { value }) => size + (value.length > 4 ? value.length + (value.length % 2) : 0),
+        0
+    );
+    const ifd = new Uint8Array(directorySize + dataSize);
+    const view = new DataView(ifd.buffer);
+    view.setUint16(0, entries.length);
+    let dataOffset = directorySize;
+    entries.forEach(({ tag, type, value }, idx) => {
+        const position = 2 + idx * 12;
+        view.setUint16(position, tag);
+        view.setUint16(position + 2, type);
+        if (typeof value === 'number') {
+            view.setUint32(position + 4, 1);
+            view.setUint32(position + 8, value);
+            return;
+        }
+        view.setUint32(position + 4, value.length);
+        if (value.length <= 4) {
+            ifd.set(value, position + 8);
+            return;
+        }
+        view.setUint32(position + 8, offset + dataOffset);
+        ifd.set(value, dataOffset);
+        dataOffset += value.length + (value.length % 2); // values start on word boundary
     });
-
-    return element;
+    return ifd;
 };
 
 /**
- * Creates screenshot image wrapper link element.
+ * Creates JPEG APP1 segment.
  *
- * @returns {HTMLAnchorElement} empty frame link element
- **/
-const createActiveLink = () => {
-    const element = document.createElement('a');
-    element.style.position = 'absolute';
-    element.style.top = '0';
-    element.style.right = '0';
-    element.style.bottom = '0';
-    element.style.left = '0';
-    element.style.height = '100%';
-    element.style['margin-left'] = 'auto';
-    element.style['margin-right'] = 'auto';
-    element.style.overflow = 'hidden';
-    element.style.display = 'block';
-    element.style['border-radius'] = '8px';
-    return element;
+ * @param {string} identifier segment identifier with its terminating zeros
+ * @param {Uint8Array} payload segment data
+ *
+ * @returns {Uint8Array} segment with marker and length
+ */
+const createJpegApp1Segment = (identifier, payload) => {
+    const header = new TextEncoder().encode(identifier);
+    const segment = new Uint8Array(4 + header.length + payload.length);
+    const view = new DataView(segment.buffer);
+    view.setUint16(0, 0xffe1);
+    view.setUint16(2, segment.length - 2);
+    segment.set(header, 4);
+    segment.set(payload, 4 + header.length);
+    return segment;
 };
 
 /**
- * Converts canvas image into base64 string.
+ * Creates Exif APP1 segment with description, software, capture date and pixel dimensions.
+ * Text is written as UTF-8, readers default to it for non-ASCII bytes.
  *
- * @param {HTMLCanvasElement} canvas Canvas element
+ * @param {Object} provenance data from getImageProvenance
  *
- * @returns {string} Canvas converted to base64 image string
+ * @returns {Uint8Array} Exif segment
  */
-const getImageBase64 = canvas => canvas.toDataURL('image/png'); // dataURL.replace(/^data:image\/?[A-z]*;base64,/);
+const createExifSegment = provenance => {
+    const { title, url, frameTime, width, height, mode, captured, description, software } = provenance;
+    const ascii = text => new TextEncoder().encode(`${text}\0`);
+    const { dateTime, offset } = formatExifDate(captured);
+    const comment = `${title}\n${url}\nFrame ${frameTime}, ${width}x${height}, ${mode} capture`;
+    const userComment = new Uint8Array([
+        ...new TextEncoder().encode('UNICODE\0'),
+        ...new Uint8Array(comment.length * 2),
+    ]);
+    const commentView = new DataView(userComment.buffer);
+    for (let i = 0; i < comment.length; i++) commentView.setUint16(8 + i * 2, comment.charCodeAt(i)); // UTF-16 in TIFF byte order
+
+    const ifd0Entries = exifOffset => [
+        { tag: 0x010e, type: 2, value: ascii(description) }, // ImageDescription
+        { tag: 0x0131, type: 2, value: ascii(software) }, // Software
+        { tag: 0x0132, type: 2, value: ascii(dateTime) }, // DateTime
+        { tag: 0x8769, type: 4, value: exifOffset }, // Exif IFD pointer
+    ];
+    const exifEntries = [
+        { tag: 0x9003, type: 2, value: ascii(dateTime) }, // DateTimeOriginal
+        { tag: 0x9011, type: 2, value: ascii(offset) }, // OffsetTimeOriginal
+        { tag: 0x9286, type: 7, value: userComment }, // UserComment
+        { tag: 0xa002, type: 4, value: width }, // PixelXDimension
+        { tag: 0xa003, type: 4, value: height }, // PixelYDimension
+    ];
+    const exifOffset = 8 + createTiffIfd(ifd0Entries(0), 8).length;
+    const ifd0 = createTiffIfd(ifd0Entries(exifOffset), 8);
+    const exifIfd = createTiffIfd(exifEntries, exifOffset);
+
+    const tiff = new Uint8Array(8 + ifd0.length + exifIfd.length);
+    tiff.set([0x4d, 0x4d, 0, 42, 0, 0, 0, 8]); // big-endian header, IFD0 at 8
+    tiff.set(ifd0, 8);
+    tiff.set(exifIfd, exifOffset);
+    return createJpegApp1Segment('Exif\0\0', tiff);
+};
 
 /**
- * Creates captured frame image element.
+ * Adds Exif and XMP segments to JPEG, after SOI and JFIF header.
  *
- * @param {HTMLCanvasElement} canvas Canvas element
+ * @param {Uint8Array} jpeg JPEG file
+ * @param {Object} provenance data from getImageProvenance
  *
- * @returns {HTMLImageElement} Image loaded with base64 encoded data
+ * @returns {Blob} JPEG with metadata
  */
-const getImageElement = canvas => {
-    const element = document.createElement('img');
-    element.style.display = 'block';
-    element.style['margin-right'] = '8px';
-    element.style.cursor = 'pointer';
-    element.src = getImageBase64(canvas);
-    element.alt = 'Captured frame';
-    element.width = '168';
-
-    element.addEventListener('click', openImageModal);
-
-    return element;
+const addJpegMetadata = (jpeg, provenance) => {
+    let insertAt = 2;
+    if (jpeg[2] === 0xff && jpeg[3] === 0xe0) insertAt += 2 + ((jpeg[4] << 8) | jpeg[5]);
+    const xmp = new TextEncoder().encode(createXmpPacket(provenance));
+    const segments = [createExifSegment(provenance), createJpegApp1Segment('http://ns.adobe.com/xap/1.0/\0', xmp)];
+    return new Blob([jpeg.subarray(0, insertAt), ...segments, jpeg.subarray(insertAt)], { type: 'image/jpeg' });
 };
 
 /**
- * Creates empty image holding element.
+ * Embeds video provenance into PNG or JPEG file, other formats are returned unchanged.
+ * Metadata is optional, on failure the file is saved without it.
  *
- * @returns {HTMLDivElement} image holder element
+ * @param {Blob} blob encoded image
+ * @param {HTMLDivElement} imageContainer strip image container
+ *
+ * @returns {Promise<Blob>} image with metadata
  */
-const createImageHolder = () => {
-    const element = document.createElement('div');
-    element['background-color'] = 'transparent';
-    element.display = 'block';
-    element.position = 'absolute';
-    return element;
+const embedImageMetadata = async (blob, imageContainer) => {
+    if (!imageContainer || !imageContainer.frame || !['image/png', 'image/jpeg'].includes(blob.type)) return blob;
+    try {
+        const bytes = new Uint8Array(await blob.arrayBuffer());
+        const provenance = getImageProvenance(imageContainer);
+        return blob.type === 'image/png' ? addPngMetadata(bytes, provenance) : addJpegMetadata(bytes, provenance);
+    } catch (error) {
+        console.warn('#YtGr4 Metadata embedding failed, saving without it:', error);
+        showToast('Metadata embedding failed, saving without it', 'warning');
+        return blob;
+    }
 };
 
 /**
- * Creates element with captured frame overlays.
+ * Adds a number to the file name if it is already taken.
  *
- * @param {number} time captured frame time position
- * @param {number} width captured frame width
+ * @param {string} fileName file name
+ * @param {Set<string>} usedNames names taken so far, new name is added
  *
- * @returns {HTMLDivElement}
+ * @returns {string} unique file name
  */
-const createOverlaysHolder = (time, width) => {
-    const element = document.createElement('div');
-    element.appendChild(createTimeOverlayElement(time));
-    element.appendChild(createWidthOverlayElement(width));
-    element.appendChild(createCopyOverlayElement());
-    element.appendChild(createSaveOverlayElement(time));
-    element.appendChild(createRemoveOverlayElement());
-    return element;
+const getUniqueFileName = (fileName, usedNames) => {
+    const dotIndex = fileName.lastIndexOf('.');
+    const base = dotIndex > 0 ? fileName.slice(0, dotIndex) : fileName;
+    const extension = dotIndex > 0 ? fileName.slice(dotIndex) : '';
+    let uniqueName = fileName;
+    for (let i = 2; usedNames.has(uniqueName); i++) uniqueName = `${base}_(${i})${extension}`;
+    usedNames.add(uniqueName);
+    return uniqueName;
 };
 
 /**
- * Snatches a frame, converts to base46, wraps it and adds to a strip.
+ * Saves strip screenshots as one ZIP archive with manifest.json.
+ * Frames are marked saved afterwards.
  *
- * @param {CanvasImage} frame frame data with time and image
+ * @param {HTMLDivElement[]} imageContainers strip image containers
  */
-const addImageToStrip = async frame => {
-    const { canvas, time, width } = frame;
-
-    const image = getImageElement(canvas);
-    const imageHolder = createImageHolder();
-    imageHolder.appendChild(image);
-
-    const overlaysHolder = createOverlaysHolder(time, width);
-    imageHolder.appendChild(overlaysHolder);
+const saveImagesAsZip = async imageContainers => {
+    if (!metaData.title) setTitle();
+    const usedNames = new Set();
+    const entries = [];
+    const images = [];
+    for (const [idx, imageContainer] of imageContainers.entries()) {
+        const { time, width, height, mode, capturedAt, group, fps, source, note, tags } = imageContainer.frame;
+        const { blob, extension } = await encodeImageForSave(imageContainer.querySelector('img'));
+        const file = getUniqueFileName(getImageName(imageContainer, extension, idx), usedNames);
+        const date = new Date(capturedAt);
+        entries.push({ name: file, data: new Uint8Array(await blob.arrayBuffer()), date });
+        images.push({
+            file,
+            time,
+            timestamp: formatPreciseTime(time),
+            frame: fps ? getFrameNumber(time, fps) : undefined,
+            fps: fps || undefined,
+            url: getFrameShortUrl(time),
+            width,
+            height,
+            mode,
+            group,
+            source,
+            captured: date.toISOString(),
+            note: note || undefined,
+            tags: tags.length ? tags : undefined,
+        });
+    }
 
-    const activeLink = createActiveLink();
-    activeLink.appendChild(imageHolder);
+    const manifest = {
+        video: {
+            id: metaData.id,
+            title: metaData.title,
+            url: metaData.short_url,
+            duration: metaData.duration,
+            playlist: metaData.list || undefined,
+            index: metaData.index || undefined,
+        },
+        created: new Date().toISOString(),
+        images,
+    };
+    const manifestData = new TextEncoder().encode(JSON.stringify(manifest, null, 4));
+    entries.push({ name: 'manifest.json', data: manifestData });
 
-    const imageContainer = createImageContainer(time);
-    imageContainer.appendChild(activeLink);
+    const archiveName = `${sanitizeFileName(`${truncateUtf8(metaData.title, maxFileNameBytes)} - screenshots`)}.zip`;
+    downloadBlob(createZipArchive(entries), archiveName);
 
-    const stripContainer = await waitForElement('#screenshot-strip');
-    stripContainer.appendChild(imageContainer);
+    imageContainers.forEach(imageContainer => updateContainerAfterSave(imageContainer.firstChild, true));
+    persistScreenshotStrip();
+    showToast(`${images.length} screenshots saved to ${archiveName}`);
 };
 
 /**
- * Adds screenshots holder strip.
+ * Saves selected strip screenshots, or all when none are selected, as one ZIP archive.
+ *
+ * @param {Event} event click event
  */
-const createScreenshotStrip = () => {
-    const screenshotStrip = document.createElement('div');
-    screenshotStrip.id = 'screenshot-strip';
-    screenshotStrip.style.height = '115px';
-    screenshotStrip.style['overflow-y'] = 'hidden';
-    screenshotStrip.style['overflow-x'] = 'none';
-    screenshotStrip.style['white-space'] = 'nowrap';
-    screenshotStrip.style['margin-top'] = 'var(--ytd-margin-6x)';
-    const targetElement = document.querySelector('#primary-inner div#player');
-    targetElement.after(screenshotStrip);
+const saveAllEventHandler = async event => {
+    const target = event.currentTarget;
+    const imageContainers = getActionImageContainers();
+    if (!imageContainers.length || target.busy) return null;
+    target.busy = true;
+    target.style.cursor = 'wait';
+
+    try {
+        await saveImagesAsZip(imageContainers);
+    } catch (error) {
+        console.error('#YtGr4 Save all failed:', error);
+        showToast('Saving screenshots failed', 'error');
+    }
+
+    target.busy = false;
+    target.style.cursor = 'pointer';
+    return null;
 };
 
 /**
- * Adds default video thumbnail to a strip
+ * Escapes text for HTML content and attributes.
+ *
+ * @param {string} text raw text
+ *
+ * @returns {string} escaped text
  */
-const addDefaultThumbnail = async () => {
-    const width = metaData.thumbnail.width;
-    const height = metaData.thumbnail.height;
-    const canvas = getCanvas({ image: metaData.thumbnail, width, height });
-    addImageToStrip({ canvas, width, time: 0 });
-};
+const escapeHtml = text =>
+    `${text}`.replace(
+        /[<>&"']/g,
+        char => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&#39;' })[char]
+    );
 
 /**
- * Initiates video screenshots strip.
+ * Escapes Markdown syntax characters in inline text.
+ *
+ * @param {string} text raw text
+ *
+ * @returns {string} escaped text
  */
-const initScreenshotStrip = async () => {
-    createScreenshotStrip();
-    await addDefaultThumbnail();
-    // .catch((e) => {
-    //     console.error('#YtGr4 addDefaultThumbnail err:', e.message);
-    // });
-};
+const escapeMarkdown = text => `${text}`.replace(/[\\`*_[\]<>#|]/g, '\\$&');
 
 /**
- * Invokes the captureFrame and sends the canvas element with a frame for attachment to the strip.
+ * Collects strip frames for study notes: time label, link at frame time, note, tags and encoded image.
  *
- * @param {boolean | undefined} isResized if true, frame is resized to DOM element's dimensions
+ * @param {HTMLDivElement[]} imageContainers strip image containers
+ *
+ * @returns {Promise<Object[]>} frames in strip order
  */
-const getScreenshotImage = async isResized => {
-    const videoStream = document.querySelector('.video-stream');
-    const frame = captureFrame(videoStream, isResized);
-    if (!frame.width) {
-        console.log('#YtGr4 Cannot access frame, possibly video not loaded. OVERLAY NOW!');
-        return null;
+const getStudyNoteFrames = async imageContainers => {
+    const usedNames = new Set();
+    const frames = [];
+    for (const [idx, imageContainer] of imageContainers.entries()) {
+        const { time, fps, note, tags } = imageContainer.frame;
+        const { blob, extension } = await encodeImageForSave(imageContainer.querySelector('img'));
+        frames.push({
+            label: formatFrameTime(time, fps),
+            url: getFrameShortUrl(time),
+            note: note || '',
+            tags,
+            blob,
+            file: getUniqueFileName(getImageName(imageContainer, extension, idx), usedNames),
+        });
     }
+    return frames;
+};
 
-    const screenshotStripExists = document.querySelector('#screenshot-strip');
-    if (!screenshotStripExists) await initScreenshotStrip();
-    addImageToStrip(frame);
+/**
+ * Builds self-contained HTML study notes, images are embedded as data URLs.
+ *
+ * @param {Object[]} frames frames from getStudyNoteFrames
+ *
+ * @returns {Promise<string>} HTML document
+ */
+const createStudyNotesHtml = async frames => {
+    const sections = [];
+    for (const { label, url, note, tags, blob } of frames) {
+        const noteHtml = [
+            note && `\n<p class="note">${escapeHtml(note)}</p>`,
+            tags.length && `\n<p class="tags">Tags: ${escapeHtml(tags.join(', '))}</p>`,
+        ]
+            .filter(Boolean)
+            .join('');
+        sections.push(
+            [
+                '<section>',
+                `<h2><a href="${escapeHtml(url)}">${escapeHtml(label)}</a></h2>`,
+                `<a href="${escapeHtml(url)}"><img src="${await blobToDataUrl(blob)}" alt="Frame at ${escapeHtml(label)}"></a>${noteHtml}`,
+                '</section>',
+            ].join('\n')
+        );
+    }
+    const details = [metaData.duration, `Exported ${new Date().toLocaleString()}`].filter(Boolean).join(' · ');
+    return [
+        '<!DOCTYPE html>',
+        '<html>',
+        '<head>',
+        '<meta charset="utf-8">',
+        `<title>${escapeHtml(metaData.title)}</title>`,
+        '<style>',
+        'body { max-width: 960px; margin: 0 auto; padding: 24px; font-family: Arial, sans-serif; line-height: 1.5; }',
+        'img { display: block; max-width: 100%; border-radius: 8px; }',
+        'section { margin: 32px 0; }',
+        '.note { white-space: pre-wrap; }',
+        '.tags { color: #666; }',
+        '</style>',
+        '</head>',
+        '<body>',
+        `<h1>${escapeHtml(metaData.title)}</h1>`,
+        `<p><a href="${escapeHtml(metaData.short_url)}">${escapeHtml(metaData.short_url)}</a> · ${escapeHtml(details)}</p>`,
+        ...sections,
+        '</body>',
+        '</html>',
+    ].join('\n');
+};
+
+/**
+ * Builds Markdown study notes referring to images in the images folder.
+ *
+ * @param {Object[]} frames frames from getStudyNoteFrames
+ *
+ * @returns {string} Markdown document
+ */
+const createStudyNotesMarkdown = frames => {
+    const sections = frames.map(({ label, url, note, tags, file }) => {
+        const lines = [`## [${label}](${url})`, '', `![Frame at ${label}](images/${encodeURIComponent(file)})`];
+        if (note) lines.push('', note);
+        if (tags.length) lines.push('', `Tags: ${escapeMarkdown(tags.join(', '))}`);
+        return lines.join('\n');
+    });
+    const header = [`# ${escapeMarkdown(metaData.title)}`, '', `<${metaData.short_url}>`];
+    return [...header, '', sections.join('\n\n'), ''].join('\n');
+};
+
+/**
+ * Exports the strip as study notes: self-contained HTML file, or ZIP with Markdown and images folder.
+ *
+ * @param {string} format 'html' or 'markdown'
+ */
+const exportStudyNotes = async format => {
+    const imageContainers = getStripImageContainers();
+    if (!imageContainers.length) return;
+    if (!metaData.title) setTitle();
+    const baseName = sanitizeFileName(`${metaData.title} - notes`);
+
+    try {
+        const frames = await getStudyNoteFrames(imageContainers);
+        if (format === 'html') {
+            const html = await createStudyNotesHtml(frames);
+            downloadBlob(new Blob([html], { type: 'text/html' }), `${baseName}.html`);
+        } else {
+            const entries = [];
+            for (const { blob, file } of frames) {
+                entries.push({ name: `images/${file}`, data: new Uint8Array(await blob.arrayBuffer()) });
+            }
+            entries.unshift({ name: 'notes.md', data: new TextEncoder().encode(createStudyNotesMarkdown(frames)) });
+            downloadBlob(createZipArchive(entries), `${baseName}.zip`);
+        }
+        showToast(`${frames.length} screenshots exported as ${format} study notes`);
+    } catch (error) {
+        console.error('#YtGr4 Study notes export failed:', error);
+        showToast('Study notes export failed', 'error');
+    }
+};
+
+/**
+ * Removes images from the strip, removing the last ones removes the strip.
+ *
+ * @param {HTMLDivElement[]} imageContainers strip image containers
+ */
+const removeStripImages = imageContainers => {
+    const screenshotStrip = document.querySelector('#screenshot-strip');
+    if (!screenshotStrip || !imageContainers.length) return null;
+    const remaining = getStripImageContainers().filter(imageContainer => !imageContainers.includes(imageContainer));
+    if (!remaining.length) {
+        screenshotStrip.remove();
+        persistScreenshotStrip();
+        return null;
+    }
+    const groups = new Set();
+    imageContainers.forEach(imageContainer => {
+        const group = imageContainer.parentElement.closest('.screenshot-group');
+        if (group) groups.add(group);
+        imageContainer.remove();
+    });
+    groups.forEach(updateScreenshotGroup);
+    updateStripBadge();
+    persistScreenshotStrip();
     return null;
 };
 
 /**
- * Validates video player url
+ * Removes image from the strip, the last one removes the strip.
+ *
+ * @param {HTMLDivElement} imageContainer strip image container
+ */
+const removeStripImage = imageContainer => removeStripImages([imageContainer]);
+
+/**
+ * Removes image from the strip.
+ *
+ * @param {Event} event - click event
+ **/
+const removeImageEventHandler = event => {
+    event.preventDefault();
+    removeStripImage(event.target.closest('[id^="screenshot-"]'));
+};
+
+/**
+ * @typedef {Object} TextOverlayData
+ * @property {boolean | undefined} data.active - if element is active, mouse cursor is changed to 'pointer'
+ */
+
+/**
+ * Creates overlay text element, active one is a button reachable with keyboard.
+ *
+ * @param {TextOverlayData | undefined} data - config options for overlay element
+ *
+ * @returns { HTMLParagraphElement | HTMLButtonElement } Returns empty overlay information element
+ */
+const createOverlayTextElement = (data = {}) => {
+    const { active } = data;
+    const element = document.createElement(active ? 'button' : 'p');
+    if (active) {
+        element.type = 'button';
+        element.style.border = 'none';
+        element.style['box-sizing'] = 'content-box';
+        element.style['font-family'] = 'inherit';
+    }
+    element.style.position = 'absolute';
+    element.style.margin = '4px';
+    element.style.color = 'var(--yt-spec-static-brand-white)';
+    element.style['background-color'] = 'var(--yt-spec-static-overlay-background-heavy)';
+    element.style.padding = '3px 4px';
+    element.style.height = '12px';
+    element.style['border-radius'] = '2px';
+    element.style['font-size'] = 'var(--yt-badge-font-size,1.2rem)';
+    element.style['font-weight'] = '500';
+    element.style['line-height'] = 'var(--yt-badge-line-height-size,1.2rem)';
+    element.style['letter-spacing'] = 'var(--yt-badge-letter-spacing,0.5px)';
+    element.style.cursor = active ? 'pointer' : 'default';
+    return element;
+};
+
+/**
+ * Converts seconds into hh:mm:ss.mmm format
+ *
+ * @param {number} time interval expressed in seconds with fractions
+ *
+ * @returns {string} formatted time with milliseconds
+ */
+const formatPreciseTime = time => {
+    // Rounded as a whole, so 2.3 is not 2.299 and 1.9996 carries into the seconds
+    const totalMilliseconds = Math.round(time * 1000);
+    const milliseconds = totalMilliseconds % 1000;
+    const seconds = (totalMilliseconds - milliseconds) / 1000;
+    return `${hoursMinutesSeconds(seconds)}.${milliseconds.toString().padStart(3, '0')}`;
+};
+
+/**
+ * Estimates number of the frame shown at the time, counting from 0.
+ *
+ * @param {number} time frame time location in video
+ * @param {number} fps frame rate
+ *
+ * @returns {number} frame number
+ */
+const getFrameNumber = (time, fps) => Math.floor(time * fps + 1e-3);
+
+/**
+ * Formats frame time with milliseconds and estimated frame number, e.g. '00:01:02.345 f1870'.
+ *
+ * @param {number} time frame time location in video
+ * @param {number | undefined} fps frame rate, frame number is left out if unknown
+ *
+ * @returns {string} frame label
+ */
+const formatFrameTime = (time, fps) => {
+    const preciseTime = formatPreciseTime(time);
+    return fps ? `${preciseTime} f${getFrameNumber(time, fps)}` : preciseTime;
+};
+
+/**
+ * Seeks the video to whole second of the frame time and puts it into the URL.
+ *
+ * @param {number} time frame time location in video
+ */
+const jumpToFrameTime = time => {
+    const timestampSeconds = Math.trunc(time);
+    const currentUrl = new URL(location.href);
+    currentUrl.searchParams.set('t', `${timestampSeconds}s`);
+
+    // Set flag to prevent URL change detection from destroying the strip
+    metaData.seekingByScript = true;
+    window.history.pushState(null, '', currentUrl.toString());
+
+    const videoElement = getVideoStream();
+    if (videoElement) {
+        videoElement.currentTime = timestampSeconds;
+        console.log(`#YtGr4 Seeked to ${timestampSeconds}s`);
+    } else {
+        showToast('Video not found, cannot jump to the frame', 'warning');
+        metaData.seekingByScript = false;
+    }
+};
+
+/**
+ * Creates overlay displaying captured frame time in video.
+ *
+ * @param {number} time frame time location in video
+ * @param {number | undefined} fps frame rate at capture
+ *
+ * @returns {HTMLAnchorElement} Returns clickable time overlay link element
+ */
+const createTimeOverlayElement = (time, fps) => {
+    const timeLink = document.createElement('a');
+
+    const timestampSeconds = Math.trunc(time);
+    const currentUrl = new URL(location.href);
+    currentUrl.searchParams.set('t', `${timestampSeconds}s`);
+
+    timeLink.href = currentUrl.toString();
+
+    timeLink.addEventListener('click', event => {
+        event.preventDefault();
+        jumpToFrameTime(time);
+    });
+
+    timeLink.style.position = 'absolute';
+    timeLink.style.bottom = '0';
+    timeLink.style.right = '0';
+    timeLink.style.margin = '4px';
+    timeLink.style.color = 'var(--yt-spec-static-brand-white)';
+    timeLink.style['background-color'] = 'var(--yt-spec-static-overlay-background-heavy)';
+    timeLink.style.padding = '3px 4px';
+    timeLink.style.height = '12px';
+    timeLink.style['border-radius'] = '2px';
+    timeLink.style['font-size'] = 'var(--yt-badge-font-size,1.2rem)';
+    timeLink.style['font-weight'] = '500';
+    timeLink.style['line-height'] = 'var(--yt-badge-line-height-size,1.2rem)';
+    timeLink.style['letter-spacing'] = 'var(--yt-badge-letter-spacing,0.5px)';
+    timeLink.style.cursor = 'pointer';
+    timeLink.style['text-decoration'] = 'none';
+    timeLink.style.transition = 'background-color 0.2s ease';
+
+    timeLink.addEventListener('mouseenter', () => {
+        timeLink.style['background-color'] = 'rgba(255, 255, 255, 0.2)';
+    });
+
+    timeLink.addEventListener('mouseleave', () => {
+        timeLink.style['background-color'] = 'var(--yt-spec-static-overlay-background-heavy)';
+    });
+
+    const currentVideoTime = formatFrameTime(time, fps);
+    timeLink.textContent = currentVideoTime;
+    timeLink.title = `Jump to ${currentVideoTime}`;
+
+    return timeLink;
+};
+
+/**
+ * Creates overlay displaying width of the captured image.
+ *
+ * @param {number} width frame with
+ *
+ * @returns {HTMLParagraphElement} Returns image width overlay element
+ */
+const createWidthOverlayElement = width => {
+    const overlay = createOverlayTextElement();
+    overlay.classList.add('screenshot-width');
+    overlay.style.bottom = '0';
+    overlay.style.left = '0';
+
+    const text = document.createTextNode(`${width}px`);
+    overlay.appendChild(text);
+    return overlay;
+};
+
+/**
+ * Writes image blob data to clipboard.
+ *
+ * @param {Blob} blob - something from Playdead's Inside finale
+ * @returns {Promise<boolean>} Promise that resolves to true on success, false on failure
+ */
+const writeBlobToClipboard = async blob => {
+    try {
+        const clipboardItemInput = new ClipboardItem({ 'image/png': blob });
+        await navigator.clipboard.write([clipboardItemInput]);
+        return true;
+    } catch (error) {
+        console.warn('#YtGr4 Image copy to clipboard failed:', error);
+        return false;
+    }
+};
+
+/**
+ * Converts loaded image to a blob.
+ *
+ * @param {HTMLImageElement} image - image element
+ * @param {string | undefined} type - image mime type, PNG by default
+ * @param {number | undefined} quality - 0 to 1, for lossy types only
+ *
+ * @returns {Promise<Blob>} binary large object!
+ */
+const convertImageToBlob = async (image, type = 'image/png', quality) => {
+    const width = image.naturalWidth;
+    const height = image.naturalHeight;
+    const canvas = getCanvas({ image, width, height });
+    const blob = await new Promise(resolve => canvas.toBlob(resolve, type, quality));
+    canvas.onerror = err => console.error('#YtGr4 Canvas error:', err);
+    return blob;
+};
+
+/**
+ * Creates HTMLImageElement with provided image.
+ *
+ * @param {string} base64img - image encoded to base64 string
+ *
+ * @returns {Promise<Image>} - the image element
+ */
+const createImageElement = base64img => {
+    return new Promise(resolve => {
+        const image = new Image();
+        image.addEventListener('load', () => {
+            resolve(image);
+        });
+        image.addEventListener('error', err => {
+            console.error('#YtGr4 Error encountered while handling image:', err);
+        });
+        image.src = base64img;
+    });
+};
+
+/**
+ * Copies strip image to clipboard as PNG, result is shown as a toast.
+ *
+ * @param {HTMLDivElement} imageContainer strip image container
+ *
+ * @returns {Promise<boolean>} true if copied
+ */
+const copyStripImage = async imageContainer => {
+    const newImageElement = await createImageElement(imageContainer.querySelector('img').src);
+    const blob = await convertImageToBlob(newImageElement);
+    const success = await writeBlobToClipboard(blob);
+    showToast(success ? 'Image copied' : 'Image copy failed', success ? 'success' : 'error');
+    return success;
+};
+
+/**
+ * Handles click on image copy overlay.
+ *
+ * @param {Event} event event triggered by clicking the copy overlay element
+ */
+const copyImageEventHandler = async event => {
+    event.preventDefault();
+    const target = event.target;
+    const imageContainer = target.closest('[id^="screenshot-"]');
+
+    target.style.cursor = 'wait';
+    target.textContent = 'Copying...';
+    target.style.opacity = '0.7';
+
+    try {
+        await copyStripImage(imageContainer);
+
+        target.textContent = 'Copy';
+        target.style.cursor = 'pointer';
+        target.style.opacity = '0.5';
+    } catch (error) {
+        console.error('#YtGr4 Copy operation failed:', error);
+        target.textContent = 'Copy';
+        target.style.cursor = 'pointer';
+        target.style.opacity = '1';
+        showToast('Image copy failed', 'error');
+    }
+};
+
+/**
+ * Creates screenshot COPY overlay.
+ *
+ * @returns {HTMLButtonElement} Returns copy overlay element
+ **/
+const createCopyOverlayElement = () => {
+    const overlay = createOverlayTextElement({ active: true });
+    overlay.style.top = '0';
+    overlay.style.right = '0';
+
+    const text = document.createTextNode('Copy');
+    overlay.appendChild(text);
+
+    overlay.addEventListener('click', copyImageEventHandler, false);
+
+    return overlay;
+};
+
+/**
+ * Creates screenshot SAVE overlay.
+ *
+ * @param {number} time frame time location in video
+ * @param {number | undefined} fps frame rate at capture
+ *
+ * @returns {HTMLButtonElement} Returns save overlay element
+ */
+const createSaveOverlayElement = (time, fps) => {
+    const overlay = createOverlayTextElement({ active: true });
+    overlay.style.top = '20px'; // 4+12+4
+    overlay.style.right = '0';
+
+    const text = document.createTextNode('Save');
+    overlay.appendChild(text);
+
+    const currentVideoTime = formatFrameTime(time, fps);
+    const timeString = currentVideoTime.replace(/[: ]/g, '_');
+    overlay.setAttribute('frame-time', timeString);
+    overlay.addEventListener('click', saveImageEventHandler, false);
+
+    return overlay;
+};
+
+/**
+ * Creates note icon overlay, shown when screenshot has note or tags. Click opens preview to edit them.
+ *
+ * @returns {HTMLButtonElement} note overlay element
+ */
+const createNoteOverlayElement = () => {
+    const overlay = createOverlayTextElement({ active: true });
+    overlay.classList.add('screenshot-note');
+    overlay.style.top = '20px'; // 4+12+4
+    overlay.style.left = '0';
+    overlay.style.display = 'none';
+
+    const text = document.createTextNode('📝');
+    overlay.appendChild(text);
+
+    overlay.addEventListener('click', event => {
+        event.preventDefault();
+        event.target.closest('[id^="screenshot-"]').querySelector('img').click();
+    });
+
+    return overlay;
+};
+
+/**
+ * Shows note icon with note and tags as its tooltip, hides it when there are none.
+ *
+ * @param {HTMLDivElement} imageContainer strip image container
+ */
+const updateNoteOverlay = imageContainer => {
+    const overlay = imageContainer.querySelector('.screenshot-note');
+    const { note, tags } = imageContainer.frame;
+    overlay.style.display = note || tags.length ? 'block' : 'none';
+    overlay.title = [note, tags.map(tag => `#${tag}`).join(' ')].filter(Boolean).join('\n');
+};
+
+/**
+ * Gets strip image as a line of text: frame time, link at frame time, note and tags.
+ *
+ * @param {HTMLDivElement} imageContainer strip image container
+ *
+ * @returns {string} text line
+ */
+const getFrameText = imageContainer => {
+    const { time, fps, note, tags } = imageContainer.frame;
+    const parts = [formatFrameTime(time, fps), getFrameShortUrl(time)];
+    if (note) parts.push(`- ${note.replace(/\s*\n\s*/g, ' ')}`);
+    if (tags.length) parts.push(tags.map(tag => `#${tag}`).join(' '));
+    return parts.join(' ');
+};
+
+/**
+ * Copies strip images as text: video title and short URL, then a line per image.
+ *
+ * @param {HTMLDivElement[]} imageContainers strip image containers
+ *
+ * @returns {Promise<boolean>} true if copied
+ */
+const copyFramesAsText = async imageContainers => {
+    if (!metaData.title) setTitle();
+    const lines = [`${metaData.title} | ${metaData.short_url}`, ...imageContainers.map(getFrameText)];
+    try {
+        await navigator.clipboard.writeText(lines.join('\n'));
+        showToast(`${imageContainers.length} screenshots copied as text`);
+        return true;
+    } catch (error) {
+        console.warn('#YtGr4 Text copy failed', error);
+        showToast('Text copy failed', 'error');
+        return false;
+    }
+};
+
+/**
+ * Creates screenshot REMOVE overlay.
+ *
+ * @returns {HTMLButtonElement} overlay element to remove frame from strip
+ **/
+const createRemoveOverlayElement = () => {
+    const overlay = createOverlayTextElement({ active: true });
+    overlay.style.top = '0';
+    overlay.style.left = '0';
+
+    const text = document.createTextNode('Remove');
+    overlay.appendChild(text);
+
+    overlay.addEventListener('click', removeImageEventHandler, false);
+
+    return overlay;
+};
+
+/**
+ * Waits for an element in DOM.
+ * Could be done without blocking, though i see no reason for a single purpose script.
+ *
+ * @param {string | function(): (Element | null)} selector CSS selector or function looking the element up
+ */
+const waitForElement = selector => {
+    const findElement = typeof selector === 'function' ? selector : () => document.querySelector(selector);
+    return new Promise(resolve => {
+        if (findElement()) {
+            return resolve(findElement());
+        }
+
+        const observer = new MutationObserver(() => {
+            if (findElement()) {
+                resolve(findElement());
+                observer.disconnect();
+            }
+        });
+
+        // Body does not exist yet at document-start
+        observer.observe(document.documentElement, {
+            childList: true,
+            subtree: true,
+        });
+
+        return null;
+    });
+};
+
+/**
+ * Creates screenshot image container.
+ * Adds event listeners for image opacity.
+ *
+ * @param {number} time - time of the frame
+ * @param {string | undefined} key - container id of a restored frame
+ *
+ * @returns {HTMLDivElement} Returns div image container
+ **/
+const createImageContainer = (time, key) => {
+    const element = document.createElement('div');
+    element.style.display = 'inline-block';
+    element.style.position = 'relative';
+    element.style['margin-right'] = '8px';
+    element.style.height = `${getThumbnailHeight()}px`;
+    element.style.width = `${settings.thumbnailWidth}px`;
+    element.style.opacity = '0.9';
+    element.style.transition = 'opacity 0.25s';
+    element.style['border-radius'] = '8px';
+    element.id = key || `screenshot-${generateElementId(6)}-${time}`;
+    element.tabIndex = -1;
+    element.setAttribute('role', 'option');
+    element.setAttribute('aria-selected', 'false');
+    element.setAttribute('aria-label', `Screenshot at ${formatPreciseTime(time)}`);
+
+    element.addEventListener('mouseenter', () => {
+        element.style.opacity = '1';
+    });
+
+    element.addEventListener('focus', () => {
+        element.style['box-shadow'] = '0 0 0 4px var(--yt-spec-text-primary)';
+    });
+
+    element.addEventListener('blur', () => {
+        element.style['box-shadow'] = '';
+    });
+
+    element.addEventListener('mouseleave', () => {
+        element.style.opacity = element.saved ? '0.3' : '0.9';
+    });
+
+    return element;
+};
+
+/**
+ * Creates screenshot image wrapper link element.
+ *
+ * @returns {HTMLAnchorElement} empty frame link element
+ **/
+const createActiveLink = () => {
+    const element = document.createElement('a');
+    element.style.position = 'absolute';
+    element.style.top = '0';
+    element.style.right = '0';
+    element.style.bottom = '0';
+    element.style.left = '0';
+    element.style.height = '100%';
+    element.style['margin-left'] = 'auto';
+    element.style['margin-right'] = 'auto';
+    element.style.overflow = 'hidden';
+    element.style.display = 'block';
+    element.style['border-radius'] = '8px';
+    return element;
+};
+
+/**
+ * Converts canvas image into base64 string.
+ *
+ * @param {HTMLCanvasElement} canvas Canvas element
+ *
+ * @returns {string} Canvas converted to base64 image string
+ */
+const getImageBase64 = canvas => canvas.toDataURL('image/png'); // dataURL.replace(/^data:image\/?[A-z]*;base64,/);
+
+/**
+ * Creates captured frame image element.
+ *
+ * @param {string} src image encoded to base64 string
+ *
+ * @returns {HTMLImageElement} Image loaded with base64 encoded data
+ */
+const getImageElement = src => {
+    const element = document.createElement('img');
+    element.style.display = 'block';
+    element.style['margin-right'] = '8px';
+    element.style.cursor = 'pointer';
+    element.src = src;
+    element.alt = 'Captured frame';
+    element.width = settings.thumbnailWidth;
+
+    element.addEventListener('click', imageClickEventHandler);
+
+    return element;
+};
+
+/**
+ * Marks strip image container as selected or not.
+ *
+ * @param {HTMLDivElement} imageContainer strip image container
+ * @param {boolean} selected new selection state
+ */
+const setImageSelection = (imageContainer, selected) => {
+    imageContainer.selected = selected;
+    imageContainer.setAttribute('aria-selected', `${selected}`);
+    imageContainer.style.outline = selected ? '2px solid rgb(100, 149, 237)' : '';
+    imageContainer.style['outline-offset'] = selected ? '1px' : '';
+};
+
+/**
+ * Gets selected strip image containers.
+ *
+ * @returns {HTMLDivElement[]} selected containers in strip order
+ */
+const getSelectedImageContainers = () => getStripImageContainers().filter(imageContainer => imageContainer.selected);
+
+/**
+ * Gets selected strip image containers, all of them when none are selected.
+ * Bulk actions of the strip controls work on these.
+ *
+ * @returns {HTMLDivElement[]} containers in strip order
+ */
+const getActionImageContainers = () => {
+    const selected = getSelectedImageContainers();
+    return selected.length ? selected : getStripImageContainers();
+};
+
+/**
+ * Strip keyboard state: anchor starts Shift range selection, current is the last focused screenshot.
+ */
+const stripFocus = { anchor: null, current: null };
+
+/**
+ * Gets strip images reachable with keyboard, skipping ones hidden by tag filter or collapsed burst.
+ *
+ * @returns {HTMLDivElement[]} image containers in strip order
+ */
+const getNavigableImageContainers = () =>
+    getStripImageContainers().filter(imageContainer => imageContainer.getClientRects().length);
+
+/**
+ * Moves keyboard focus to strip image. Only the focused image is reachable with Tab.
+ *
+ * @param {HTMLDivElement} imageContainer strip image container
+ */
+const focusStripImage = imageContainer => {
+    getStripImageContainers().forEach(other => {
+        other.tabIndex = other === imageContainer ? 0 : -1;
+    });
+    stripFocus.current = imageContainer;
+    imageContainer.focus();
+    imageContainer.scrollIntoView({ block: 'nearest', inline: 'nearest' });
+};
+
+/**
+ * Selects only the given strip image and makes it the range anchor.
+ *
+ * @param {HTMLDivElement} imageContainer strip image container
+ */
+const selectSingleImage = imageContainer => {
+    getStripImageContainers().forEach(other => setImageSelection(other, other === imageContainer));
+    stripFocus.anchor = imageContainer;
+};
+
+/**
+ * Selects images from the range anchor to the given one, other images are deselected.
+ *
+ * @param {HTMLDivElement[]} imageContainers navigable image containers
+ * @param {HTMLDivElement} imageContainer range end
+ */
+const selectImageRange = (imageContainers, imageContainer) => {
+    const anchor = imageContainers.includes(stripFocus.anchor) ? stripFocus.anchor : imageContainer;
+    const [from, to] = [imageContainers.indexOf(anchor), imageContainers.indexOf(imageContainer)].sort((a, b) => a - b);
+    const range = imageContainers.slice(from, to + 1);
+    getStripImageContainers().forEach(other => setImageSelection(other, range.includes(other)));
+    stripFocus.anchor = anchor;
+};
+
+/**
+ * Handles click on strip image: Ctrl or Cmd click toggles selection, Shift click selects a range,
+ * plain click opens preview.
+ *
+ * @param {Event} event Click event on the image
+ */
+const imageClickEventHandler = event => {
+    const imageContainer = event.target.closest('[id^="screenshot-"]');
+    if (!event.ctrlKey && !event.metaKey && !event.shiftKey) {
+        imageContainer.blur(); // focused by the mouse, strip takes keys only after shortcut or keyboard navigation
+        return openImageModal(event);
+    }
+    event.preventDefault();
+    event.stopPropagation();
+    if (event.shiftKey) {
+        selectImageRange(getNavigableImageContainers(), imageContainer);
+    } else {
+        setImageSelection(imageContainer, !imageContainer.selected);
+        stripFocus.anchor = imageContainer;
+    }
+    focusStripImage(imageContainer);
+    return null;
+};
+
+/**
+ * Focuses the strip for keyboard use: last focused screenshot, first selected or the last one.
+ * Collapsed strip is expanded.
+ */
+const focusScreenshotStrip = () => {
+    const imageContainers = getNavigableImageContainers();
+    if (!imageContainers.length) {
+        showToast('No screenshots to focus', 'warning');
+        return null;
+    }
+    if (isStripCollapsed()) setStripCollapsed(false);
+    const [firstSelected] = getSelectedImageContainers();
+    const imageContainer = imageContainers.includes(stripFocus.current)
+        ? stripFocus.current
+        : firstSelected || imageContainers[imageContainers.length - 1];
+    if (!firstSelected) selectSingleImage(imageContainer);
+    focusStripImage(imageContainer);
+    return null;
+};
+
+/**
+ * Gets images strip keys act on: the selection, or the focused image when nothing is selected.
+ *
+ * @param {HTMLDivElement} imageContainer focused image container
+ *
+ * @returns {HTMLDivElement[]} image containers in strip order
+ */
+const getKeyTargetImages = imageContainer => {
+    const selected = getSelectedImageContainers();
+    return selected.length ? selected : [imageContainer];
+};
+
+/**
+ * Copies one image, or several as one contact image.
+ * Thumbnails, contact sheets and animations are left out of the contact image.
+ *
+ * @param {HTMLDivElement[]} imageContainers strip image containers
+ */
+const copyStripImages = async imageContainers => {
+    if (imageContainers.length > 1) return copyContactSheet(getContactSheetContainers(imageContainers));
+    await copyStripImage(imageContainers[0]).catch(() => showToast('Image copy failed', 'error'));
+    return null;
+};
+
+/**
+ * Saves one image, or several as one ZIP archive.
+ *
+ * @param {HTMLDivElement[]} imageContainers strip image containers
+ */
+const saveStripImages = async imageContainers => {
+    try {
+        await (imageContainers.length > 1 ? saveImagesAsZip(imageContainers) : saveStripImage(imageContainers[0]));
+    } catch (error) {
+        console.error('#YtGr4 Save failed:', error);
+        showToast('Save failed', 'error');
+    }
+};
+
+/**
+ * Removes images and moves focus to the next remaining one, or back to the player when the strip is gone.
+ *
+ * @param {HTMLDivElement[]} imageContainers navigable image containers
+ * @param {HTMLDivElement[]} targets images to remove
+ */
+const removeFocusedImages = (imageContainers, targets) => {
+    const last = imageContainers.indexOf(targets[targets.length - 1]);
+    const remaining = imageContainers.filter(imageContainer => !targets.includes(imageContainer));
+    const next = imageContainers.slice(last + 1).find(imageContainer => remaining.includes(imageContainer));
+    removeStripImages(targets);
+    const focusTarget = next || remaining[remaining.length - 1];
+    if (focusTarget) {
+        selectSingleImage(focusTarget);
+        focusStripImage(focusTarget);
+    } else {
+        focusPlayer();
+    }
+};
+
+/**
+ * Moves keyboard focus back to the player, so YouTube keys work again.
+ */
+const focusPlayer = () => {
+    const player = getPlayerElement();
+    if (player) player.focus();
+};
+
+/**
+ * Strip keyboard handler, active while a screenshot has focus:
+ * ←/→/Home/End move and select, with Shift extend the range, with Ctrl move without selecting.
+ * Space toggles selection, Ctrl+A selects all, Escape clears selection, then leaves the strip.
+ * Enter opens preview, C copies, S saves, Delete removes, J jumps to the frame time.
+ * C, S and Delete act on the selection, or on the focused screenshot when nothing is selected.
+ * Keys are left alone while the preview or a dialog is open.
+ *
+ * @param {KeyboardEvent} event keydown event
+ */
+const stripKeyHandler = event => {
+    const current = document.activeElement;
+    if (!current || !current.frame || event.altKey) return null;
+    if (document.querySelector('#image-modal, .screenshot-dialog')) return null;
+    const imageContainers = getNavigableImageContainers();
+    const ctrl = event.ctrlKey || event.metaKey;
+    const key = event.key.length === 1 ? event.key.toLowerCase() : event.key;
+    const idx = imageContainers.indexOf(current);
+    const moves = { ArrowLeft: idx - 1, ArrowRight: idx + 1, Home: 0, End: imageContainers.length - 1 };
+
+    if (key in moves) {
+        const target = imageContainers[Math.max(0, Math.min(moves[key], imageContainers.length - 1))];
+        if (event.shiftKey) selectImageRange(imageContainers, target);
+        else if (!ctrl) selectSingleImage(target);
+        focusStripImage(target);
+    } else if (key === ' ') {
+        setImageSelection(current, !current.selected);
+        stripFocus.anchor = current;
+    } else if (key === 'a' && ctrl) {
+        imageContainers.forEach(imageContainer => setImageSelection(imageContainer, true));
+    } else if (key === 'Escape') {
+        const selected = getSelectedImageContainers();
+        if (selected.length) selected.forEach(imageContainer => setImageSelection(imageContainer, false));
+        else focusPlayer();
+    } else if (key === 'Enter') {
+        current.blur(); // preview takes over the keys
+        current.querySelector('img').click();
+    } else if (key === 'c') {
+        copyStripImages(getKeyTargetImages(current));
+    } else if (key === 's') {
+        saveStripImages(getKeyTargetImages(current));
+    } else if (key === 'Delete' || key === 'Backspace') {
+        removeFocusedImages(imageContainers, getKeyTargetImages(current));
+    } else if (key === 'j') {
+        jumpToFrameTime(current.frame.time);
+    } else {
+        return null;
+    }
+    event.preventDefault();
+    event.stopPropagation();
+    return null;
+};
+
+/**
+ * Creates empty image holding element.
+ *
+ * @returns {HTMLDivElement} image holder element
+ */
+const createImageHolder = () => {
+    const element = document.createElement('div');
+    element['background-color'] = 'transparent';
+    element.display = 'block';
+    element.position = 'absolute';
+    return element;
+};
+
+/**
+ * Creates element with captured frame overlays.
+ *
+ * @param {number} time captured frame time position
+ * @param {number} width captured frame width
+ * @param {number | undefined} fps frame rate at capture
+ * @param {string | undefined} mode capture mode, contact sheets span several times and get no time overlay
+ *
+ * @returns {HTMLDivElement}
+ */
+const createOverlaysHolder = (time, width, fps, mode) => {
+    const element = document.createElement('div');
+    if (mode !== 'contact-sheet') element.appendChild(createTimeOverlayElement(time, fps));
+    element.appendChild(createWidthOverlayElement(width));
+    element.appendChild(createCopyOverlayElement());
+    element.appendChild(createSaveOverlayElement(time, fps));
+    element.appendChild(createRemoveOverlayElement());
+    element.appendChild(createNoteOverlayElement());
+    return element;
+};
+
+/**
+ * Snatches a frame, converts to base46, wraps it and adds to a strip.
+ * Restored frames come with base64 string instead of canvas.
+ *
+ * Burst frames go to their group.
+ *
+ * @param {CanvasImage | StoredFrame} frame frame data with time and image
+ * @param {boolean | undefined} skipStorage if true, strip is not written to storage (restoring or more frames coming)
+ *
+ * @returns {Promise<HTMLDivElement>} added image container
+ */
+const addImageToStrip = async (frame, skipStorage) => {
+    const { canvas, time, width, height, mode, saved, group, fps, source } = frame;
+
+    const image = getImageElement(frame.src || getImageBase64(canvas));
+    const imageHolder = createImageHolder();
+    imageHolder.appendChild(image);
+
+    const overlaysHolder = createOverlaysHolder(time, width, fps, mode);
+    imageHolder.appendChild(overlaysHolder);
+
+    const activeLink = createActiveLink();
+    activeLink.appendChild(imageHolder);
+
+    const imageContainer = createImageContainer(time, frame.key);
+    imageContainer.appendChild(activeLink);
+    imageContainer.frame = {
+        key: imageContainer.id,
+        time,
+        width,
+        height: height || canvas.height,
+        mode: mode || 'full',
+        capturedAt: frame.capturedAt || Date.now(),
+        group,
+        fps: fps || 0,
+        source,
+        note: frame.note || '',
+        tags: frame.tags || [],
+    };
+    updateNoteOverlay(imageContainer);
+    if (saved) {
+        imageContainer.saved = true;
+        imageContainer.style.opacity = '0.34567890';
+    }
+
+    const stripContainer = await waitForElement('#screenshot-strip');
+    if (group) {
+        const groupContainer = getScreenshotGroup(stripContainer, group);
+        groupContainer.appendChild(imageContainer);
+        updateScreenshotGroup(groupContainer);
+    } else {
+        stripContainer.appendChild(imageContainer);
+        if (isHiddenByTagFilter(imageContainer)) imageContainer.style.display = 'none';
+    }
+    updateStripBadge();
+    if (!skipStorage) persistScreenshotStrip();
+    return imageContainer;
+};
+
+/**
+ * Gets thumbnail height for the configured thumbnail width, 16:9 ratio.
+ *
+ * @returns {number} thumbnail height in pixels
+ */
+const getThumbnailHeight = () => Math.floor((settings.thumbnailWidth * 9) / 16);
+
+/**
+ * Gets screenshot containers from the strip, skipping strip controls.
+ *
+ * @returns {HTMLDivElement[]} image containers in strip order
+ */
+const getStripImageContainers = () => {
+    const screenshotStrip = document.querySelector('#screenshot-strip');
+    if (!screenshotStrip) return [];
+    return [...screenshotStrip.querySelectorAll('div')].filter(element => element.frame);
+};
+
+/**
+ * Strip tag filter, empty tag shows all screenshots.
+ */
+const tagFilter = { tag: '' };
+
+/**
+ * Parses free-form tags: separated by commas, trimmed, without duplicates.
+ *
+ * @param {string} text tags as typed
+ *
+ * @returns {string[]} tags
+ */
+const parseTags = text => [
+    ...new Set(
+        text
+            .split(',')
+            .map(tag => tag.trim())
+            .filter(Boolean)
+    ),
+];
+
+/**
+ * Checks if strip image is hidden by the tag filter.
+ *
+ * @param {HTMLDivElement} imageContainer strip image container
+ *
+ * @returns {boolean} true if filter is set and image lacks the tag
+ */
+const isHiddenByTagFilter = imageContainer => !!tagFilter.tag && !imageContainer.frame.tags.includes(tagFilter.tag);
+
+/**
+ * Counts tags used in the strip.
+ *
+ * @returns {Object<string, number>} screenshot count per tag, sorted by tag
+ */
+const getStripTags = () => {
+    const counts = {};
+    getStripImageContainers().forEach(imageContainer => {
+        imageContainer.frame.tags.forEach(tag => {
+            counts[tag] = (counts[tag] || 0) + 1;
+        });
+    });
+    return Object.fromEntries(Object.entries(counts).sort(([a], [b]) => a.localeCompare(b)));
+};
+
+/**
+ * Shows only strip images with the filter tag, updates filter button.
+ */
+const applyTagFilter = () => {
+    const screenshotStrip = document.querySelector('#screenshot-strip');
+    if (!screenshotStrip) return null;
+    getStripImageContainers().forEach(imageContainer => {
+        if (imageContainer.parentElement.closest('.screenshot-group')) return;
+        imageContainer.style.display = isHiddenByTagFilter(imageContainer) ? 'none' : 'inline-block';
+    });
+    screenshotStrip.querySelectorAll('.screenshot-group').forEach(updateScreenshotGroup);
+
+    const filterButton = screenshotStrip.querySelector('.screenshot-tag-filter');
+    if (filterButton) {
+        filterButton.title = tagFilter.tag ? `Filtered by tag "${tagFilter.tag}"` : 'Filter by tag';
+        filterButton.style['background-color'] = tagFilter.tag ? 'rgba(100, 149, 237, 0.5)' : '';
+    }
+    return null;
+};
+
+/**
+ * Updates burst group toggle with frame count, removes empty group.
+ * Collapsed group shows only its first frame.
+ *
+ * @param {HTMLDivElement} group group element
+ */
+const updateScreenshotGroup = group => {
+    const imageContainers = [...group.children].filter(element => element.frame);
+    if (!imageContainers.length) {
+        group.remove();
+        return null;
+    }
+    const toggle = group.firstChild;
+    toggle.textContent = `${group.collapsed ? '▸' : '▾'} ${imageContainers.length}`;
+    toggle.title = group.collapsed ? 'Expand burst' : 'Collapse burst';
+    const shownContainers = imageContainers.filter(imageContainer => !isHiddenByTagFilter(imageContainer));
+    imageContainers.forEach(imageContainer => {
+        const idx = shownContainers.indexOf(imageContainer);
+        imageContainer.style.display = idx < 0 || (group.collapsed && idx > 0) ? 'none' : 'inline-block';
+    });
+    group.style.display = shownContainers.length ? 'inline-block' : 'none';
+    return null;
+};
+
+/**
+ * Creates collapsible element holding frames of one burst.
+ *
+ * @param {string} groupId Burst group id
+ *
+ * @returns {HTMLDivElement} group element
+ */
+const createScreenshotGroup = groupId => {
+    const element = document.createElement('div');
+    element.className = 'screenshot-group';
+    element.setAttribute('group-id', groupId);
+    element.style.display = 'inline-block';
+    element.style['vertical-align'] = 'top';
+    element.style['margin-right'] = '8px';
+    element.style['padding-left'] = '4px';
+    element.style['border-left'] = '3px solid rgba(100, 149, 237, 0.8)';
+    element.collapsed = false;
+
+    const toggle = createStripButton('▾', 'Collapse burst', () => {
+        element.collapsed = !element.collapsed;
+        updateScreenshotGroup(element);
+    });
+    toggle.style.display = 'inline-block';
+    toggle.style['vertical-align'] = 'top';
+    toggle.style['font-size'] = '12px';
+    element.appendChild(toggle);
+
+    const animate = createStripButton('🎞', 'Create animation from burst', () => {
+        openAnimationDialog([...element.children].filter(child => child.frame));
+    });
+    animate.style.display = 'inline-block';
+    animate.style['vertical-align'] = 'top';
+    animate.style['font-size'] = '12px';
+    element.appendChild(animate);
+
+    return element;
+};
+
+/**
+ * Finds burst group in the strip, creates it at the end of the strip if missing.
+ *
+ * @param {HTMLDivElement} screenshotStrip strip element
+ * @param {string} groupId Burst group id
+ *
+ * @returns {HTMLDivElement} group element
+ */
+const getScreenshotGroup = (screenshotStrip, groupId) => {
+    const existing = screenshotStrip.querySelector(`.screenshot-group[group-id="${groupId}"]`);
+    if (existing) return existing;
+    const group = createScreenshotGroup(groupId);
+    screenshotStrip.appendChild(group);
+    return group;
+};
+
+/**
+ * Creates strip control button.
+ *
+ * @param {string} icon Button text
+ * @param {string} title Button tooltip
+ * @param {function(Event): void} onClick click handler
+ *
+ * @returns {HTMLButtonElement} button element
+ */
+const createStripButton = (icon, title, onClick) => {
+    const element = document.createElement('button');
+    element.type = 'button';
+    element.textContent = icon;
+    element.title = title;
+    element.setAttribute('aria-label', title);
+    element.style.border = 'none';
+    element.style.background = 'none';
+    element.style['font-family'] = 'inherit';
+    element.style.padding = '0 4px';
+    element.style.color = 'var(--yt-spec-text-secondary)';
+    element.style['font-size'] = '16px';
+    element.style.cursor = 'pointer';
+    element.style.opacity = '0.6';
+    element.style.transition = 'opacity 0.25s';
+
+    element.addEventListener('mouseenter', () => {
+        element.style.opacity = '1';
+    });
+
+    element.addEventListener('mouseleave', () => {
+        element.style.opacity = '0.6';
+    });
+
+    element.addEventListener('click', onClick);
+
+    return element;
+};
+
+/**
+ * Screenshots for contact sheets: default thumbnail, earlier contact sheets and animations are left out.
+ *
+ * @param {HTMLDivElement[] | undefined} imageContainers candidates, all strip images by default
+ *
+ * @returns {HTMLDivElement[]} image containers in strip order
+ */
+const getContactSheetContainers = (imageContainers = getStripImageContainers()) =>
+    imageContainers.filter(
+        imageContainer => !['thumbnail', 'contact-sheet', 'animation'].includes(imageContainer.frame.mode)
+    );
+
+/**
+ * Copies contact sheet of the frames to clipboard, without adding it to the strip.
+ *
+ * @param {HTMLDivElement[]} imageContainers strip image containers
+ */
+const copyContactSheet = async imageContainers => {
+    if (!imageContainers.length) {
+        showToast('No captured frames for a contact sheet', 'warning');
+        return null;
+    }
+    const canvas = drawContactSheet(imageContainers);
+    const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+    const success = blob && (await writeBlobToClipboard(blob));
+    showToast(
+        `Contact sheet of ${imageContainers.length} frames ${success ? 'copied' : 'copy failed'}`,
+        success ? 'success' : 'error'
+    );
+    return null;
+};
+
+/**
+ * Removes saved screenshots from the strip.
+ */
+const removeSavedImages = () => {
+    removeStripImages(getStripImageContainers().filter(imageContainer => imageContainer.saved));
+};
+
+/**
+ * Removes selected screenshots, or all when none are selected, after confirmation. Stored ones are removed too.
+ */
+const removeAllImages = () => {
+    const imageContainers = getActionImageContainers();
+    if (!imageContainers.length) return;
+    const which = getSelectedImageContainers().length ? 'selected' : 'all';
+    if (!confirm(`Remove ${which} ${imageContainers.length} screenshots of this video?`)) return;
+    removeStripImages(imageContainers);
+};
+
+/**
+ * Updates clean player button in strip controls with current state.
+ */
+const updateCleanPlayerButton = () => {
+    const button = document.querySelector('.screenshot-clean-toggle');
+    if (!button) return;
+    button.title = settings.cleanPlayer ? 'Show player UI (clean player is on)' : 'Hide player UI (clean player)';
+    button.style['background-color'] = settings.cleanPlayer ? 'rgba(100, 149, 237, 0.5)' : '';
+};
+
+/**
+ * Creates strip controls panel, stays at the start of the strip while scrolling.
+ * Shows only a tip until hovered, buttons wrap into columns to fit strip height.
+ *
+ * @returns {HTMLDivElement} controls element
+ */
+const createStripControls = () => {
+    const element = document.createElement('div');
+    element.id = 'screenshot-strip-controls';
+    element.style.display = 'inline-flex';
+    element.style['align-items'] = 'center';
+    element.style.height = `${getThumbnailHeight()}px`;
+    element.style.position = 'sticky';
+    element.style.left = '0';
+    element.style['z-index'] = '1';
+    element.style['vertical-align'] = 'top';
+    element.style['margin-right'] = '8px';
+    element.style['background-color'] = 'var(--yt-spec-base-background)';
+
+    const tip = createStripButton('☰', 'Strip controls');
+    const buttons = document.createElement('div');
+    buttons.style.display = 'none';
+    buttons.style['flex-direction'] = 'column';
+    buttons.style['flex-wrap'] = 'wrap';
+    buttons.style.gap = '4px';
+    buttons.style.height = '100%';
+
+    const cleanPlayerButton = createStripButton('◌', '', toggleUIVisibility);
+    cleanPlayerButton.classList.add('screenshot-clean-toggle');
+    const filterButton = createStripButton('🏷', 'Filter by tag', openTagFilterDialog);
+    filterButton.classList.add('screenshot-tag-filter');
+    [
+        createStripButton('⚙', 'Screenshot settings', openSettingsDialog),
+        createStripButton('💾', 'Save selected or all as ZIP', saveAllEventHandler),
+        createStripButton('🖼', 'Copy selected or all as one contact image', () => {
+            copyContactSheet(getContactSheetContainers(getActionImageContainers()));
+        }),
+        createStripButton('▦', 'Create contact sheet', createContactSheetEventHandler),
+        createStripButton('📝', 'Export study notes', openStudyNotesDialog),
+        createStripButton('📋', 'Copy all as text', () => {
+            copyFramesAsText(getStripImageContainers().filter(imageContainer => !isHiddenByTagFilter(imageContainer)));
+        }),
+        filterButton,
+        createStripButton('🎞', 'Create animation from selected frames (Ctrl+click or Shift+click to select)', () => {
+            openAnimationDialog(getSelectedImageContainers());
+        }),
+        createStripButton('✔✕', 'Remove saved screenshots', removeSavedImages),
+        createStripButton('🗑', 'Remove selected or all screenshots', removeAllImages),
+        createStripButton('▴', 'Hide strip', () => setStripCollapsed(true)),
+        cleanPlayerButton,
+    ].forEach(button => buttons.appendChild(button));
+
+    element.appendChild(tip);
+    element.appendChild(buttons);
+    element.addEventListener('mouseenter', () => {
+        tip.style.display = 'none';
+        buttons.style.display = 'flex';
+    });
+    element.addEventListener('mouseleave', () => {
+        tip.style.display = 'block';
+        buttons.style.display = 'none';
+    });
+    return element;
+};
+
+/**
+ * Creates bar shown instead of the collapsed strip, with screenshot count badge. Click expands the strip.
+ *
+ * @returns {HTMLDivElement} bar element
+ */
+const createStripBar = () => {
+    const element = createStripButton('▾ Screenshots', 'Show strip', () => setStripCollapsed(false));
+    element.id = 'screenshot-strip-bar';
+    element.style['font-size'] = '13px';
+    element.style['line-height'] = '24px';
+    element.style.display = isStripCollapsed() ? 'block' : 'none';
+
+    const badge = document.createElement('span');
+    badge.className = 'screenshot-count';
+    badge.style['margin-left'] = '6px';
+    badge.style.padding = '0 6px';
+    badge.style['border-radius'] = '8px';
+    badge.style['background-color'] = 'var(--yt-spec-badge-chip-background)';
+    element.appendChild(badge);
+    return element;
+};
+
+/**
+ * Updates screenshot count on the collapsed strip bar.
+ */
+const updateStripBadge = () => {
+    const badge = document.querySelector('#screenshot-strip-bar .screenshot-count');
+    if (badge) badge.textContent = getStripImageContainers().length;
+};
+
+/**
+ * Strip expanded by hand on a page whose layout starts collapsed, kept until reload.
+ */
+const stripView = {
+    expanded: false,
+};
+
+/**
+ * Tells if the strip is collapsed, by setting or by page layout with a small player.
+ *
+ * @returns {boolean} true if collapsed
+ */
+const isStripCollapsed = () => settings.stripCollapsed || (!!getStripLayout().collapsed && !stripView.expanded);
+
+/**
+ * Gets strip height: slim bar when collapsed, thumbnail row otherwise.
+ *
+ * @returns {number} strip height in pixels
+ */
+const getStripHeight = () => (isStripCollapsed() ? 24 : getThumbnailHeight() + 21);
+
+/**
+ * Collapses strip to a slim bar or expands it, state is remembered.
+ * Bar is a block, so the thumbnail row wraps below it and is cut off by the strip height.
+ *
+ * @param {boolean} collapsed new state
+ */
+const setStripCollapsed = collapsed => {
+    saveSettings({ stripCollapsed: collapsed });
+    stripView.expanded = !collapsed;
+    const screenshotStrip = document.querySelector('#screenshot-strip');
+    if (!screenshotStrip) return null;
+    screenshotStrip.style.height = `${getStripHeight()}px`;
+    screenshotStrip.querySelector('#screenshot-strip-bar').style.display = collapsed ? 'block' : 'none';
+    updateStripBadge();
+    return null;
+};
+
+/**
+ * Strip layout per page type. Anchor is the element the strip is put next to,
+ * pages without it get a strip floating over the page, offset from the bottom edge.
+ * Collapsed layouts start as the slim bar, full strip would cover most of their small player.
+ */
+const stripLayouts = {
+    watch: { anchor: '#primary-inner div#player', bottom: '0' },
+    shorts: { bottom: '0', collapsed: true },
+    embed: { bottom: '0', collapsed: true },
+    music: { bottom: 'var(--ytmusic-player-bar-height, 72px)' },
+};
+
+/**
+ * Gets strip layout of current page.
+ *
+ * @returns {{ anchor: string | undefined, bottom: string, collapsed: boolean | undefined }} strip layout
+ */
+const getStripLayout = () => stripLayouts[metaData.page] || stripLayouts.embed;
+
+/**
+ * Floats strip over the page, at the bottom or at the top when placed above.
+ *
+ * @param {HTMLDivElement} screenshotStrip strip element
+ * @param {string} bottom offset from the bottom edge
+ */
+const floatScreenshotStrip = (screenshotStrip, bottom) => {
+    const isAbove = settings.stripPlacement === 'above';
+    screenshotStrip.style.position = 'fixed';
+    screenshotStrip.style.left = '0';
+    screenshotStrip.style.right = '0';
+    screenshotStrip.style.top = isAbove ? '0' : '';
+    screenshotStrip.style.bottom = isAbove ? '' : bottom;
+    screenshotStrip.style.margin = '0';
+    screenshotStrip.style.padding = '4px 8px 0';
+    screenshotStrip.style['z-index'] = '2100';
+    screenshotStrip.style['background-color'] = 'var(--yt-spec-base-background, rgba(15, 15, 15, 0.9))';
+    document.body.appendChild(screenshotStrip);
+};
+
+/**
+ * Puts the strip below or above the player, as configured.
+ * Pages without a place for it in the layout get a floating strip.
+ *
+ * @param {HTMLDivElement} screenshotStrip strip element
+ */
+const placeScreenshotStrip = screenshotStrip => {
+    const layout = getStripLayout();
+    const targetElement = layout.anchor && document.querySelector(layout.anchor);
+    if (!targetElement) {
+        floatScreenshotStrip(screenshotStrip, layout.bottom);
+        return;
+    }
+    if (settings.stripPlacement === 'above') {
+        screenshotStrip.style['margin-top'] = '0';
+        screenshotStrip.style['margin-bottom'] = 'var(--ytd-margin-6x)';
+        targetElement.before(screenshotStrip);
+    } else {
+        screenshotStrip.style['margin-top'] = 'var(--ytd-margin-6x)';
+        screenshotStrip.style['margin-bottom'] = '0';
+        targetElement.after(screenshotStrip);
+    }
+};
+
+/**
+ * Adds screenshots holder strip.
+ */
+const createScreenshotStrip = () => {
+    const screenshotStrip = document.createElement('div');
+    screenshotStrip.id = 'screenshot-strip';
+    screenshotStrip.style.height = `${getStripHeight()}px`;
+    screenshotStrip.style['overflow-y'] = 'hidden';
+    screenshotStrip.style['overflow-x'] = 'none';
+    screenshotStrip.style['white-space'] = 'nowrap';
+    screenshotStrip.setAttribute('role', 'listbox');
+    screenshotStrip.setAttribute('aria-multiselectable', 'true');
+    screenshotStrip.setAttribute('aria-label', 'Screenshots');
+    screenshotStrip.appendChild(createStripBar());
+    screenshotStrip.appendChild(createStripControls());
+    placeScreenshotStrip(screenshotStrip);
+    updateCleanPlayerButton();
+};
+
+/**
+ * Applies thumbnail size and placement settings to an existing strip.
+ */
+const applyStripSettings = () => {
+    const screenshotStrip = document.querySelector('#screenshot-strip');
+    if (!screenshotStrip) return null;
+    screenshotStrip.style.height = `${getStripHeight()}px`;
+    screenshotStrip.querySelector('#screenshot-strip-controls').style.height = `${getThumbnailHeight()}px`;
+    getStripImageContainers().forEach(imageContainer => {
+        imageContainer.style.height = `${getThumbnailHeight()}px`;
+        imageContainer.style.width = `${settings.thumbnailWidth}px`;
+        imageContainer.querySelector('img').width = settings.thumbnailWidth;
+    });
+    placeScreenshotStrip(screenshotStrip);
+    return null;
+};
+
+/**
+ * Truncates text with ellipsis to fit canvas width.
+ *
+ * @param {CanvasRenderingContext2D} ctx context with font set
+ * @param {string} text Text to fit
+ * @param {number} maxWidth Available width
+ *
+ * @returns {string} fitting text
+ */
+const fitCanvasText = (ctx, text, maxWidth) => {
+    if (ctx.measureText(text).width <= maxWidth) return text;
+    let fitted = text;
+    while (fitted && ctx.measureText(`${fitted}…`).width > maxWidth) fitted = fitted.slice(0, -1);
+    return `${fitted}…`;
+};
+
+/**
+ * Picks black or white text for the background color.
+ *
+ * @param {string} color Background as #rrggbb
+ *
+ * @returns {string} text color
+ */
+const getContrastTextColor = color => {
+    const [r, g, b] = [1, 3, 5].map(idx => parseInt(color.slice(idx, idx + 2), 16) || 0);
+    return 0.299 * r + 0.587 * g + 0.114 * b > 140 ? '#000000' : '#ffffff';
+};
+
+/**
+ * Draws strip images into one grid with timestamp labels and video header.
+ * Images are fitted into 16:9 cells of configured width.
+ *
+ * @param {HTMLDivElement[]} imageContainers strip image containers
+ *
+ * @returns {HTMLCanvasElement} contact sheet canvas
+ */
+const drawContactSheet = imageContainers => {
+    const { sheetColumns, sheetCellWidth, sheetBackground } = settings;
+    const columns = Math.min(sheetColumns, imageContainers.length);
+    const rows = Math.ceil(imageContainers.length / columns);
+    const gap = 8;
+    const labelHeight = 20;
+    const headerHeight = 72;
+    const cellHeight = Math.round((sheetCellWidth * 9) / 16);
+    const textColor = getContrastTextColor(sheetBackground);
+
+    const canvas = document.createElement('canvas');
+    canvas.width = columns * (sheetCellWidth + gap) + gap;
+    canvas.height = headerHeight + rows * (cellHeight + labelHeight + gap) + gap;
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = sheetBackground;
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+    if (!metaData.title) setTitle();
+    const headerWidth = canvas.width - 2 * gap;
+    ctx.fillStyle = textColor;
+    ctx.textBaseline = 'top';
+    ctx.font = 'bold 20px Arial, sans-serif';
+    ctx.fillText(fitCanvasText(ctx, metaData.title, headerWidth), gap, gap + 4);
+    ctx.font = '14px Arial, sans-serif';
+    const details = [metaData.duration, metaData.short_url, `${imageContainers.length} frames`].filter(Boolean);
+    ctx.fillText(fitCanvasText(ctx, details.join('  ·  '), headerWidth), gap, gap + 36);
+
+    imageContainers.forEach((imageContainer, idx) => {
+        const image = imageContainer.querySelector('img');
+        const x = gap + (idx % columns) * (sheetCellWidth + gap);
+        const y = headerHeight + Math.floor(idx / columns) * (cellHeight + labelHeight + gap);
+        const scale = Math.min(sheetCellWidth / image.naturalWidth, cellHeight / image.naturalHeight);
+        const width = image.naturalWidth * scale;
+        const height = image.naturalHeight * scale;
+        ctx.drawImage(image, x + (sheetCellWidth - width) / 2, y + (cellHeight - height) / 2, width, height);
+
+        ctx.fillStyle = textColor;
+        ctx.font = '13px Arial, sans-serif';
+        ctx.textAlign = 'center';
+        const label = hoursMinutesSeconds(Math.trunc(imageContainer.frame.time));
+        ctx.fillText(label, x + sheetCellWidth / 2, y + cellHeight + 4);
+        ctx.textAlign = 'start';
+    });
+
+    return canvas;
+};
+
+/**
+ * Creates contact sheet from captured strip frames, adds it to the strip and opens the preview.
+ * Default thumbnail, earlier contact sheets and animations are left out.
+ */
+const createContactSheetEventHandler = async () => {
+    const imageContainers = getContactSheetContainers();
+    if (!imageContainers.length) {
+        showToast('No captured frames for a contact sheet', 'warning');
+        return null;
+    }
+
+    const canvas = drawContactSheet(imageContainers);
+    const { width, height } = canvas;
+    // Links and file names point to the first frame of the sheet
+    const time = imageContainers[0].frame.time;
+    const sheetContainer = await addImageToStrip({ canvas, width, height, time, mode: 'contact-sheet' });
+    sheetContainer.querySelector('img').click();
+    return null;
+};
+
+/**
+ * Scales frames to one size and sets their durations.
+ * Real gaps use media time between frames, unusable gaps fall back to the fixed delay.
+ *
+ * @param {HTMLDivElement[]} imageContainers strip image containers in animation order
+ * @param {Object} options animation settings
+ *
+ * @returns {AnimationFrame[]} animation frames
+ */
+const getAnimationFrames = (imageContainers, options) => {
+    const images = imageContainers.map(imageContainer => imageContainer.querySelector('img'));
+    const width = Math.min(options.animationWidth, images[0].naturalWidth);
+    const height = Math.round((images[0].naturalHeight * width) / images[0].naturalWidth);
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+
+    return images.map((image, idx) => {
+        ctx.drawImage(image, 0, 0, width, height);
+        const times = [idx, idx + 1].map(frameIdx => imageContainers[frameIdx] && imageContainers[frameIdx].frame.time);
+        const gap = (times[1] - times[0]) * 1000;
+        const delay = options.animationRealGaps && gap > 0 ? gap : options.animationDelay;
+        return { imageData: ctx.getImageData(0, 0, width, height), delay };
+    });
+};
+
+/**
+ * Encodes frames to animated GIF or APNG, adds the animation to the strip and opens the preview.
+ *
+ * @param {HTMLDivElement[]} imageContainers strip image containers in animation order
+ */
+const createAnimation = async imageContainers => {
+    try {
+        const frames = getAnimationFrames(imageContainers, settings);
+        const blob = settings.animationFormat === 'apng' ? await encodeApng(frames) : encodeGif(frames);
+        const { width, height } = frames[0].imageData;
+        const src = await blobToDataUrl(blob);
+        const time = imageContainers[0].frame.time;
+        const animationContainer = await addImageToStrip({ src, width, height, time, mode: 'animation' });
+        imageContainers.forEach(imageContainer => setImageSelection(imageContainer, false));
+        animationContainer.querySelector('img').click();
+        showToast(`Animation of ${frames.length} frames created`);
+    } catch (error) {
+        console.error('#YtGr4 Animation failed:', error);
+        showToast('Animation failed', 'error');
+    }
+};
+
+/**
+ * Adds default video thumbnail to a strip
+ */
+const addDefaultThumbnail = async () => {
+    const width = metaData.thumbnail.width;
+    const height = metaData.thumbnail.height;
+    const canvas = getCanvas({ image: metaData.thumbnail, width, height });
+    addImageToStrip({ canvas, width, height, time: 0, mode: 'thumbnail' });
+};
+
+/**
+ * Initiates video screenshots strip.
+ * Strip is rebuilt from stored frames, default thumbnail is added for a fresh one.
+ *
+ * @param {StoredFrame[] | undefined} storedFrames frames loaded from storage, loaded here if not provided
+ */
+const initScreenshotStrip = async storedFrames => {
+    createScreenshotStrip();
+    const frames = storedFrames || (await loadStoredFrames(metaData.id).catch(() => []));
+    if (frames.length) {
+        for (const frame of frames) await addImageToStrip(frame, true);
+        return;
+    }
+    await addDefaultThumbnail();
+    // .catch((e) => {
+    //     console.error('#YtGr4 addDefaultThumbnail err:', e.message);
+    // });
+};
+
+/**
+ * Invokes the captureFrame and sends the canvas element with a frame for attachment to the strip.
+ *
+ * @param {boolean | undefined} isResized if true, frame is resized to DOM element's dimensions
+ */
+const getScreenshotImage = async isResized => {
+    const videoStream = getVideoStream();
+    const frame = captureFrame(videoStream, isResized);
+    if (!frame.width) {
+        showToast('Cannot access frame, possibly video not loaded', 'warning');
+        return null;
+    }
+
+    const screenshotStripExists = document.querySelector('#screenshot-strip');
+    if (!screenshotStripExists) await initScreenshotStrip();
+    addImageToStrip(frame);
+    showToast(`Captured ${formatFrameTime(frame.time, frame.fps)}`);
+    return null;
+};
+
+/**
+ * Collects consecutive decoded frames as they are presented.
+ * Paused video is played for the burst and paused again.
+ * Burst ends early if no frame arrives for a second (video paused or stalled).
+ *
+ * @param {HTMLVideoElement} videoStream HTML5 video element to grab the frames from
+ * @param {number} count Number of frames
+ * @param {number} interval Minimal media time between frames in milliseconds, 0 for every frame
+ *
+ * @returns {Promise<CanvasImage[]>} frames with exact media time
+ */
+const captureBurstFrames = (videoStream, count, interval) =>
+    new Promise(resolve => {
+        const frames = [];
+        const wasPaused = videoStream.paused;
+        let watchdog = null;
+
+        const finish = () => {
+            clearTimeout(watchdog);
+            if (wasPaused) videoStream.pause();
+            resolve(frames);
+        };
+
+        const onFrame = (now, metadata) => {
+            clearTimeout(watchdog);
+            const lastFrame = frames[frames.length - 1];
+            const isDue = !lastFrame || (metadata.mediaTime - lastFrame.time) * 1000 >= interval;
+            if (isDue) {
+                const frame = captureFrame(videoStream);
+                frame.time = metadata.mediaTime;
+                frames.push(frame);
+            }
+            if (frames.length >= count || videoStream.ended) return finish();
+            watchdog = setTimeout(finish, 1e3);
+            videoStream.requestVideoFrameCallback(onFrame);
+            return null;
+        };
+
+        watchdog = setTimeout(finish, 1e3);
+        videoStream.requestVideoFrameCallback(onFrame);
+        if (wasPaused) {
+            videoStream.play().catch(error => {
+                console.warn('#YtGr4 Burst playback failed:', error);
+                finish();
+            });
+        }
+    });
+
+/**
+ * Captures a burst of full-size frames and adds them to the strip as one group.
+ */
+const getBurstImages = async () => {
+    const videoStream = getVideoStream();
+    if (!videoStream || !videoStream.requestVideoFrameCallback) {
+        showToast('Burst capture is not supported in this browser', 'error');
+        return null;
+    }
+    if (!videoStream.videoWidth) {
+        showToast('Cannot start burst, possibly video not loaded', 'warning');
+        return null;
+    }
+    if (videoStream.capturingBurst) {
+        showToast('Burst capture is already running', 'warning');
+        return null;
+    }
+
+    const id = metaData.id;
+    videoStream.capturingBurst = true;
+    const frames = await captureBurstFrames(videoStream, settings.burstFrames, settings.burstInterval);
+    videoStream.capturingBurst = false;
+    if (metaData.id !== id) {
+        showToast('Burst discarded, video changed during capture', 'warning');
+        return null;
+    }
+    if (!frames.length) {
+        showToast('Burst captured no frames, possibly video not loaded', 'warning');
+        return null;
+    }
+
+    const screenshotStripExists = document.querySelector('#screenshot-strip');
+    if (!screenshotStripExists) await initScreenshotStrip();
+    const group = generateElementId(8, 'abcdefghijklmnopqrstuvwxyz0123456789');
+    for (const frame of frames) {
+        // Navigated away while adding, the rest does not belong to the current video
+        if (metaData.id !== id) return null;
+        await addImageToStrip({ ...frame, group });
+    }
+    showToast(`Burst of ${frames.length} frames captured`);
+    return null;
+};
+
+/**
+ * Seeks video and waits until the frame at the new position is decoded.
+ * Frame callback may not fire for a paused video in every browser, so it is limited in time.
+ *
+ * @param {HTMLVideoElement} videoStream HTML5 video element
+ * @param {number} time Position in seconds
+ *
+ * @returns {Promise<boolean>} true if seek completed within 10 seconds
+ */
+const seekVideoFrame = (videoStream, time) =>
+    new Promise(resolve => {
+        const timeout = setTimeout(() => {
+            videoStream.removeEventListener('seeked', onSeeked);
+            resolve(false);
+        }, 1e4);
+
+        const onSeeked = () => {
+            clearTimeout(timeout);
+            if (!videoStream.requestVideoFrameCallback) return resolve(true);
+            const fallback = setTimeout(() => resolve(true), 500);
+            videoStream.requestVideoFrameCallback(() => {
+                clearTimeout(fallback);
+                resolve(true);
+            });
+            return null;
+        };
+
+        videoStream.addEventListener('seeked', onSeeked, { once: true });
+        videoStream.currentTime = time;
+    });
+
+/**
+ * Creates range capture progress overlay on the player.
+ *
+ * @param {function(): void} onCancel called when Cancel is clicked
+ *
+ * @returns {HTMLParagraphElement} progress element with update(done, total) method
+ */
+const createRangeProgressElement = onCancel => {
+    const element = createOverlayTextElement();
+    element.id = 'screenshot-range-progress';
+    element.style.top = '8px';
+    element.style.left = '8px';
+    element.style.height = 'auto';
+    element.style['z-index'] = '100';
+
+    const text = document.createElement('span');
+    element.appendChild(text);
+
+    const cancel = document.createElement('span');
+    cancel.textContent = ' ✕ Cancel';
+    cancel.style.cursor = 'pointer';
+    cancel.style['margin-left'] = '8px';
+    cancel.addEventListener('click', onCancel);
+    element.appendChild(cancel);
+
+    element.update = (done, total) => {
+        text.textContent = `Capturing range ${done} / ${total}`;
+    };
+
+    return element;
+};
+
+/**
+ * Captures full-size frames from start to end every step seconds and adds them to the strip.
+ * Video position and play state are restored afterwards.
+ *
+ * @param {number} start Range start in seconds
+ * @param {number} end Range end in seconds
+ * @param {number} step Seconds between frames
+ */
+const captureRange = async (start, end, step) => {
+    const videoStream = getVideoStream();
+    if (!videoStream || !videoStream.videoWidth || metaData.rangeCapture) return null;
+
+    const times = [];
+    for (let time = start; time <= Math.min(end, videoStream.duration); time += step) times.push(time);
+    if (!times.length) return null;
+
+    const id = metaData.id;
+    const state = { cancelled: false, navigated: false };
+    metaData.rangeCapture = state;
+    const wasPaused = videoStream.paused;
+    const originalTime = videoStream.currentTime;
+    videoStream.pause();
+
+    const progress = createRangeProgressElement(() => {
+        state.cancelled = true;
+    });
+    const player = getPlayerElement();
+    if (player) player.appendChild(progress);
+
+    try {
+        const screenshotStripExists = document.querySelector('#screenshot-strip');
+        if (!screenshotStripExists) await initScreenshotStrip();
+        for (const [idx, time] of times.entries()) {
+            if (state.cancelled) break;
+            progress.update(idx + 1, times.length);
+            const isSeeked = await seekVideoFrame(videoStream, time);
+            if (!isSeeked || state.cancelled || metaData.id !== id) continue;
+            const frame = captureFrame(videoStream);
+            // Storage writes are coalesced, navigation flushes them under the captured video id
+            if (frame.width) await addImageToStrip(frame);
+        }
+        showToast(
+            `Range capture ${state.cancelled ? 'cancelled' : 'finished'}`,
+            state.cancelled ? 'warning' : 'success'
+        );
+    } catch (error) {
+        console.error('#YtGr4 Range capture failed:', error);
+        showToast('Range capture failed', 'error');
+    }
+
+    progress.remove();
+    if (!state.navigated) {
+        await seekVideoFrame(videoStream, originalTime);
+        if (!wasPaused) videoStream.play();
+    }
+    metaData.rangeCapture = null;
+    return null;
+};
+
+/**
+ * Parses time typed as seconds, mm:ss or hh:mm:ss, fractions allowed.
+ *
+ * @param {string} value Time string
+ *
+ * @returns {number} seconds, NaN if invalid
+ */
+const parseTimeInput = value => {
+    const parts = value.trim().split(':');
+    if (parts.length > 3 || parts.some(part => !/^\d+(\.\d+)?$/.test(part))) return NaN;
+    return parts.reduce((seconds, part) => seconds * 60 + parseFloat(part), 0);
+};
+
+const sceneDetection = {
+    active: false,
+    videoStream: null,
+    frameCallbackId: 0,
+    canvas: null,
+    previous: null, // luminance samples of the previous frame
+    previousTime: 0,
+    lastCaptureTime: -Infinity,
+};
+
+/**
+ * Samples downscaled frame luminance, 64x36 pixels.
+ *
+ * @param {HTMLVideoElement} videoStream HTML5 video element
+ *
+ * @returns {Uint8Array} luminance of each pixel
+ */
+const sampleFrameLuminance = videoStream => {
+    if (!sceneDetection.canvas) {
+        sceneDetection.canvas = document.createElement('canvas');
+        sceneDetection.canvas.width = 64;
+        sceneDetection.canvas.height = 36;
+    }
+    const { canvas } = sceneDetection;
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    ctx.drawImage(videoStream, 0, 0, canvas.width, canvas.height);
+    const { data } = ctx.getImageData(0, 0, canvas.width, canvas.height);
+    const luminance = new Uint8Array(data.length / 4);
+    for (let i = 0; i < luminance.length; i++) {
+        luminance[i] = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+    }
+    return luminance;
+};
+
+/**
+ * Measures difference of two frames as the larger of histogram and per-pixel luminance difference.
+ * Histogram catches lighting changes, pixel difference catches cuts between similarly lit shots.
+ *
+ * @param {Uint8Array} previous luminance samples
+ * @param {Uint8Array} current luminance samples
+ *
+ * @returns {number} difference from 0 (same) to 1
+ */
+const getFrameDifference = (previous, current) => {
+    const bins = 32;
+    const histograms = [new Float32Array(bins), new Float32Array(bins)];
+    let pixelDifference = 0;
+    for (let i = 0; i < current.length; i++) {
+        histograms[0][previous[i] >> 3]++;
+        histograms[1][current[i] >> 3]++;
+        pixelDifference += Math.abs(previous[i] - current[i]);
+    }
+    let histogramDifference = 0;
+    for (let bin = 0; bin < bins; bin++) histogramDifference += Math.abs(histograms[0][bin] - histograms[1][bin]);
+    return Math.max(histogramDifference / (2 * current.length), pixelDifference / (255 * current.length));
+};
+
+/**
+ * Compares each presented frame with the previous one and captures full-size frame on a cut.
+ * Seeks reset the comparison instead of counting as a cut.
+ *
+ * @param {DOMHighResTimeStamp} now callback time
+ * @param {VideoFrameCallbackMetadata} metadata presented frame metadata
+ */
+const detectSceneChange = (now, metadata) => {
+    const { videoStream } = sceneDetection;
+    if (!sceneDetection.active || !videoStream) return null;
+    sceneDetection.frameCallbackId = videoStream.requestVideoFrameCallback(detectSceneChange);
+    if (!videoStream.videoWidth) return null;
+
+    const current = sampleFrameLuminance(videoStream);
+    const { previous, previousTime } = sceneDetection;
+    const isContinuous = metadata.mediaTime > previousTime && metadata.mediaTime - previousTime < 1;
+    sceneDetection.previous = current;
+    sceneDetection.previousTime = metadata.mediaTime;
+    if (!previous || !isContinuous) return null;
+
+    const threshold = 0.6 - settings.sceneSensitivity * 0.005;
+    const isGapPassed = Math.abs(metadata.mediaTime - sceneDetection.lastCaptureTime) >= settings.sceneMinGap;
+    if (isGapPassed && getFrameDifference(previous, current) >= threshold) {
+        sceneDetection.lastCaptureTime = metadata.mediaTime;
+        console.log(`#YtGr4 Scene change at ${formatPreciseTime(metadata.mediaTime)}`);
+        getScreenshotImage();
+    }
+    return null;
+};
+
+/**
+ * Creates player indicator for active scene-change capture, click turns it off.
+ *
+ * @returns {HTMLButtonElement} indicator element
+ */
+const createSceneIndicatorElement = () => {
+    const element = createOverlayTextElement({ active: true });
+    element.id = 'screenshot-scene-indicator';
+    element.style.top = '8px';
+    element.style.right = '8px';
+    element.style['z-index'] = '100';
+    element.textContent = '◉ Scene capture';
+    element.title = 'Scene-change capture is on, click to turn off';
+    element.addEventListener('click', () => toggleSceneDetection());
+    return element;
+};
+
+/**
+ * Turns scene-change capture on or off.
+ */
+const toggleSceneDetection = () => {
+    const videoStream = getVideoStream();
+    if (!sceneDetection.active && (!videoStream || !videoStream.requestVideoFrameCallback)) {
+        showToast('Scene-change capture is not supported in this browser', 'error');
+        return null;
+    }
+
+    sceneDetection.active = !sceneDetection.active;
+    sceneDetection.previous = null;
+    const indicator = document.querySelector('#screenshot-scene-indicator');
+    if (indicator) indicator.remove();
+    if (!sceneDetection.active) {
+        sceneDetection.videoStream.cancelVideoFrameCallback(sceneDetection.frameCallbackId);
+        sceneDetection.videoStream = null;
+        showToast('Scene-change capture off');
+        return null;
+    }
+
+    sceneDetection.videoStream = videoStream;
+    sceneDetection.lastCaptureTime = -Infinity;
+    sceneDetection.frameCallbackId = videoStream.requestVideoFrameCallback(detectSceneChange);
+    const player = getPlayerElement();
+    if (player) player.appendChild(createSceneIndicatorElement());
+    showToast('Scene-change capture on');
+    return null;
+};
+
+const frameRateDetection = {
+    videoStream: null,
+    frameCallbackId: 0,
+    previous: null, // metadata of the previous presented frame
+    durations: [], // media time between consecutive presented frames
+    frameRate: 0,
+};
+
+const commonFrameRates = [23.976, 24, 25, 29.97, 30, 48, 50, 59.94, 60];
+
+/**
+ * Snaps measured frame rate to the nearest common one if within 2%.
+ *
+ * @param {number} rate measured frames per second
+ *
+ * @returns {number} frame rate
+ */
+const snapFrameRate = rate => {
+    const nearest = commonFrameRates.reduce((best, common) =>
+        Math.abs(common - rate) < Math.abs(best - rate) ? common : best
+    );
+    return Math.abs(nearest - rate) / nearest < 0.02 ? nearest : Math.round(rate * 1000) / 1000;
+};
+
+/**
+ * Measures media time between consecutively presented frames while the video plays.
+ * Median of 30 measurements is the frame rate, tracking stops afterwards.
+ *
+ * @param {DOMHighResTimeStamp} now callback time
+ * @param {VideoFrameCallbackMetadata} metadata presented frame metadata
+ */
+const trackFrameRate = (now, metadata) => {
+    const { previous, durations, videoStream } = frameRateDetection;
+    frameRateDetection.previous = metadata;
+    const isNextFrame = previous && metadata.presentedFrames - previous.presentedFrames === 1;
+    const duration = previous ? metadata.mediaTime - previous.mediaTime : 0;
+    if (isNextFrame && duration > 0 && duration < 0.1) durations.push(duration);
+
+    const median = [...durations].sort((a, b) => a - b)[Math.floor(durations.length / 2)];
+    if (durations.length >= 5) frameRateDetection.frameRate = snapFrameRate(1 / median);
+    if (durations.length < 30)
+        frameRateDetection.frameCallbackId = videoStream.requestVideoFrameCallback(trackFrameRate);
+    return null;
+};
+
+/**
+ * Finds video element of the current page's player.
+ * Hidden watch player stays in DOM on Shorts, so its video is not taken while Shorts player is missing.
+ *
+ * @returns {HTMLVideoElement | null} video element
+ */
+const findPlayerVideoStream = () => {
+    const player = getPlayerElement();
+    const isPagePlayer = !!player && (metaData.page !== 'shorts' || player.id === 'shorts-player');
+    return isPagePlayer ? player.querySelector('.video-stream') : null;
+};
+
+/**
+ * Starts frame rate detection for the current video.
+ */
+const startFrameRateDetection = async () => {
+    try {
+        const videoStream = await waitForElement(findPlayerVideoStream);
+        if (!videoStream.requestVideoFrameCallback) return;
+        if (frameRateDetection.videoStream) {
+            frameRateDetection.videoStream.cancelVideoFrameCallback(frameRateDetection.frameCallbackId);
+        }
+        frameRateDetection.videoStream = videoStream;
+        frameRateDetection.previous = null;
+        frameRateDetection.durations = [];
+        frameRateDetection.frameRate = 0;
+        frameRateDetection.frameCallbackId = videoStream.requestVideoFrameCallback(trackFrameRate);
+    } catch (error) {
+        console.warn('#YtGr4 Frame rate detection failed:', error);
+    }
+};
+
+/**
+ * Gets detected frame rate.
+ * Without frame callbacks, decoded frame count over played time is used if it is close to a common rate.
+ *
+ * @param {HTMLVideoElement} videoStream HTML5 video element
+ *
+ * @returns {number} frames per second, 0 if unknown
+ */
+const getFrameRate = videoStream => {
+    if (frameRateDetection.frameRate) return frameRateDetection.frameRate;
+    if (!videoStream.getVideoPlaybackQuality || videoStream.currentTime < 5) return 0;
+    const rate = videoStream.getVideoPlaybackQuality().totalVideoFrames / videoStream.currentTime;
+    const snapped = snapFrameRate(rate);
+    return commonFrameRates.includes(snapped) ? snapped : 0;
+};
+
+/**
+ * Steps paused video one frame back or forward, seeking to the middle of the frame.
+ * Playing video is paused first.
+ *
+ * @param {number} direction -1 for back, 1 for forward
+ */
+const stepFrame = direction => {
+    const videoStream = getVideoStream();
+    if (!videoStream) return null;
+    if (!videoStream.paused) {
+        videoStream.pause();
+        return null;
+    }
+
+    const fps = getFrameRate(videoStream) || 30;
+    const frameNumber = getFrameNumber(videoStream.currentTime, fps) + direction;
+    const time = Math.min(Math.max(0, (frameNumber + 0.5) / fps), videoStream.duration || Infinity);
+    videoStream.currentTime = time;
+    return null;
+};
+
+/**
+ * Validates video player url: watch, Shorts, live, embed and YouTube Music pages.
+ */
+const isWatchUrl = () => !!parseVideoUrl(location.href);
+
+/**
+ * Checks if user is in input fields
+ */
+const isInInputField = () => {
+    const searchInputField = document.querySelector('input#search');
+    const commentInputField = document.querySelector('div#contenteditable-root');
+    const isInSearchField = searchInputField === document.activeElement;
+    const isInCommentField = commentInputField === document.activeElement;
+    const isInSettings = !!document.activeElement && !!document.activeElement.closest('.screenshot-dialog');
+    const isEditable = !!document.activeElement && document.activeElement.matches('input, textarea, select');
+    return isInSearchField || isInCommentField || isInSettings || isEditable;
+};
+
+/**
+ * Composes shortcut string from keyboard event, e.g. '[', 'p', 'Shift+p', 'Ctrl+Alt+s', 'F2'.
+ * Letters are lowercased and get 'Shift+' when shift is held, caps lock is ignored.
+ * Other printable keys already reflect shift in event.key, so shift is not added to them.
+ *
+ * @param {KeyboardEvent} e keydown event
+ *
+ * @returns {string} shortcut string
+ */
+const getKeyCombo = e => {
+    const isLetter = /^[a-z]$/i.test(e.key);
+    const isPrintable = e.key.length === 1;
+    const key = isLetter ? e.key.toLowerCase() : e.key;
+    const modifiers = [
+        e.ctrlKey && 'Ctrl',
+        e.altKey && 'Alt',
+        e.metaKey && 'Meta',
+        e.shiftKey && (isLetter || !isPrintable) && 'Shift',
+    ].filter(Boolean);
+    return [...modifiers, key].join('+');
+};
+
+/**
+ * Actions of remappable shortcuts, keys are the same as in shortcutDefinitions.
+ */
+const shortcutActions = {
+    captureFull: () => getScreenshotImage(),
+    captureViewport: () => getScreenshotImage(true),
+    toggleUI: () => toggleUIVisibility(),
+    copyLink: () => copyVideoLink(),
+    copyLinkAtTime: () => copyVideoLink(true),
+    captureBurst: () => getBurstImages(),
+    captureRange: () => openRangeCaptureDialog(),
+    toggleSceneDetection: () => toggleSceneDetection(),
+    stepFrameBack: () => stepFrame(-1),
+    stepFrameForward: () => stepFrame(1),
+    focusStrip: () => focusScreenshotStrip(),
+    logGlobals: () => consoleGlobals(),
+};
+
+/**
+ * Keypress handler.
+ * Runs the action mapped to the pressed key in settings, defaults:
+ * Key '[' grabs full frame.
+ * Key ']' grabs actual frame size.
+ * Key 'p' toggles video controls visibility.
+ * Key 'Quote' copies video title, duration and url.
+ * Keypresses ignored if focused to input fields.
+ */
+const logKey = e => {
+    if (!isWatchUrl() || !metaData.href) return null;
+    if (isInInputField()) return null;
+    const combo = getKeyCombo(e);
+    const action = Object.keys(shortcutActions).find(name => settings.shortcuts[name] === combo);
+    if (action) shortcutActions[action]();
+    return null;
+};
+
+/**
+ * Looks for mutations in title and duration elements
+ * If found - updates script globals
+ *
+ * @param { MutationRecord[] } mutations Mutation list from observer
+ */
+const updateTitleDuration = mutations => {
+    mutations.forEach(mutant => {
+        const { target, addedNodes } = mutant;
+
+        const hasAddedNode = addedNodes.length;
+        if (!hasAddedNode) return null;
+
+        // Check for document title changes (most reliable for SPA)
+        if (target === document.head || target.tagName === 'TITLE') {
+            setTitle();
+            return null;
+        }
+
+        // Check for main content title changes (primary method for SPA)
+        if (
+            target.classList &&
+            (target.classList.contains('ytd-watch-metadata') ||
+                target.classList.contains('ytd-videoPrimaryInfoRenderer') ||
+                (target.querySelector &&
+                    (target.querySelector('h1.ytd-watch-metadata') ||
+                        target.querySelector('h1.ytd-videoPrimaryInfoRenderer') ||
+                        target.querySelector('#title h1'))))
+        ) {
+            setTitle();
+            setChannel();
+            return null;
+        }
+
+        // Duration tracking (reliable)
+        const hasDurationClass = target.classList && target.classList.contains('ytp-time-duration');
+        if (hasDurationClass) metaData.duration = getElementText(target);
+
+        const durationChild = target.querySelector && target.querySelector('.ytp-time-duration');
+        if (durationChild) metaData.duration = getElementText(durationChild);
+
+        // Legacy title tracking (fallback only, unreliable during ads)
+        const hasTitleClass = target.classList && target.classList.contains('ytp-title-link');
+        if (hasTitleClass && !metaData.title) setTitle(); // Only use if no title found yet
+
+        const titleChild = target.querySelector && target.querySelector('.ytp-title-link');
+        if (titleChild && !metaData.title) setTitle(); // Only use if no title found yet
+
+        return null;
+    });
+};
+
+/**
+ * Mutation observer callback
+ *
+ * @param { MutationRecord[] } mutations Mutation list from observer
+ */
+const doAfterMutation = mutations => {
+    // Ignoring all Youtube urls if they aren't watch page
+    if (!isWatchUrl()) return null;
+
+    // First startup
+    if (!metaData.href) {
+        updateIdUrlsThumbnail();
+        restoreScreenshotStrip();
+        startFrameRateDetection();
+    }
+
+    // Player shows up after the first startup
+    if (settings.cleanPlayer && !document.querySelector('#screenshot-clean-indicator')) startCleanPlayer();
+
+    // URL changed - but ignore if user clicked on a timestamp overlay
+    if (metaData.href !== location.href && !metaData.seekingByScript) {
+        onUrlChange();
+    } else if (metaData.seekingByScript) {
+        // Update the stored href without destroying the strip
+        metaData.href = location.href;
+        metaData.seekingByScript = false;
+    }
+
+    updateTitleDuration(mutations);
+};
+
+/**
+ * Starts mutations observer
+ */
+const startDOMObserver = () => {
+    const observer = new MutationObserver(doAfterMutation);
+    const config = { childList: true, subtree: true };
+    observer.observe(document, config);
+};
+
+(() => {
+    'use strict';
+    startDOMObserver();
+    document.addEventListener('keydown', logKey);
+    document.addEventListener('keydown', stripKeyHandler, true);
+    document.addEventListener('fullscreenchange', fullscreenChangeHandler);
+    window.addEventListener('pagehide', flushScreenshotStrip);
+    // Wrapped, dialogs are declared further down and not initialized yet when this runs
+    if (typeof GM_registerMenuCommand === 'function') {
+        GM_registerMenuCommand('Screenshot settings', () => openSettingsDialog());
+        GM_registerMenuCommand('Capture time range', () => openRangeCaptureDialog());
+        GM_registerMenuCommand('Export study notes', () => openStudyNotesDialog());
+        GM_registerMenuCommand('Clear stored screenshots', () => clearStoredStrips());
+    }
+})();
+
+function consoleGlobals() {
+    console.log('#YtGr4 globals:', metaData);
+}
+
+/**
+ * Creates empty full-screen modal backdrop, hidden until shown.
+ *
+ * @returns {HTMLDivElement} Modal backdrop element
+ */
+const createModalBackdrop = () => {
+    const modal = document.createElement('div');
+    modal.style.position = 'fixed';
+    modal.style.top = '0';
+    modal.style.left = '0';
+    modal.style.width = '100%';
+    modal.style.height = '100%';
+    modal.style.backgroundColor = 'rgba(0, 0, 0, 0.9)';
+    modal.style.zIndex = '10000';
+    modal.style.display = 'flex';
+    modal.style.alignItems = 'center';
+    modal.style.justifyContent = 'center';
+    modal.style.opacity = '0';
+    modal.style.transition = 'opacity 0.3s ease-in-out';
+    return modal;
+};
+
+/**
+ * Creates a modal overlay for full-size image preview.
+ *
+ * @param {string} imageSrc The base64 image source
+ * @param {string} imageTitle The title/filename for the image
+ * @returns {HTMLDivElement} Modal container element
+ */
+const createImageModal = (imageSrc, imageTitle) => {
+    const modal = createModalBackdrop();
+    modal.id = 'image-modal';
+    modal.style.cursor = 'pointer';
+
+    // Modal content container
+    const modalContent = document.createElement('div');
+    modalContent.style.position = 'relative';
+    modalContent.style.maxWidth = '95%';
+    modalContent.style.maxHeight = '95%';
+    modalContent.style.textAlign = 'center';
+
+    // Full-size image
+    const fullImage = document.createElement('img');
+    fullImage.src = imageSrc;
+    fullImage.style.maxWidth = '100%';
+    fullImage.style.maxHeight = '100%';
+    fullImage.style.objectFit = 'contain';
+    fullImage.style.borderRadius = '8px';
+    fullImage.style.border = '2px solid rgba(100, 149, 237, 0.5)';
+    fullImage.style.boxShadow = '0 4px 20px rgba(0, 0, 0, 0.5)';
+
+    // Image title overlay
+    const titleOverlay = document.createElement('div');
+    titleOverlay.className = 'screenshot-modal-title';
+    titleOverlay.style.position = 'absolute';
+    titleOverlay.style.bottom = '10px';
+    titleOverlay.style.left = '50%';
+    titleOverlay.style.transform = 'translateX(-50%)';
+    titleOverlay.style.backgroundColor = 'rgba(0, 0, 0, 0.8)';
+    titleOverlay.style.color = 'white';
+    titleOverlay.style.padding = '8px 16px';
+    titleOverlay.style.borderRadius = '4px';
+    titleOverlay.style.fontSize = '14px';
+    titleOverlay.style.fontFamily = 'Arial, sans-serif';
+    titleOverlay.textContent = imageTitle || 'Screenshot Preview';
+
+    // Close button
+    const closeButton = document.createElement('div');
+    closeButton.textContent = '×';
+    closeButton.style.position = 'absolute';
+    closeButton.style.top = '10px';
+    closeButton.style.right = '10px';
+    closeButton.style.fontSize = '30px';
+    closeButton.style.color = 'white';
+    closeButton.style.backgroundColor = 'rgba(0, 0, 0, 0.8)';
+    closeButton.style.width = '40px';
+    closeButton.style.height = '40px';
+    closeButton.style.borderRadius = '50%';
+    closeButton.style.display = 'flex';
+    closeButton.style.alignItems = 'center';
+    closeButton.style.justifyContent = 'center';
+    closeButton.style.cursor = 'pointer';
+    closeButton.style.transition = 'background-color 0.2s';
+
+    closeButton.addEventListener('mouseenter', () => {
+        closeButton.style.backgroundColor = 'rgba(255, 255, 255, 0.2)';
+    });
+
+    closeButton.addEventListener('mouseleave', () => {
+        closeButton.style.backgroundColor = 'rgba(0, 0, 0, 0.8)';
+    });
+
+    modalContent.appendChild(fullImage);
+    modalContent.appendChild(titleOverlay);
+    modalContent.appendChild(closeButton);
+    modal.appendChild(modalContent);
+
+    return modal;
+};
+
+/**
+ * Shows the image modal with fade-in animation.
+ *
+ * @param {HTMLDivElement} modal The modal element to show
+ */
+const showModal = modal => {
+    document.body.appendChild(modal);
+    setTimeout(() => {
+        modal.style.opacity = '1';
+    }, 10);
+};
+
+/**
+ * Hides and removes the image modal.
+ *
+ * @param {HTMLDivElement} modal The modal element to hide
+ */
+const hideModal = modal => {
+    modal.style.opacity = '0';
+    setTimeout(() => {
+        if (modal.parentNode) {
+            modal.parentNode.removeChild(modal);
+        }
+    }, 300);
+};
+
+/**
+ * Creates modal toolbar, its buttons are filled by renderModalToolbar.
+ *
+ * @returns {HTMLDivElement} toolbar element
+ */
+const createModalToolbar = () => {
+    const toolbar = document.createElement('div');
+    toolbar.className = 'screenshot-modal-toolbar';
+    toolbar.style.position = 'absolute';
+    toolbar.style.top = '10px';
+    toolbar.style.left = '50%';
+    toolbar.style.transform = 'translateX(-50%)';
+    toolbar.style.display = 'flex';
+    toolbar.style.gap = '8px';
+    toolbar.style.padding = '6px';
+    toolbar.style.backgroundColor = 'rgba(0, 0, 0, 0.8)';
+    toolbar.style.borderRadius = '4px';
+    toolbar.style.cursor = 'default';
+    toolbar.style.zIndex = '1';
+    return toolbar;
+};
+
+/**
+ * Fills modal toolbar with the active tool's controls or default actions.
+ *
+ * @param {HTMLDivElement} modal Image modal
+ */
+const renderModalToolbar = modal => {
+    const toolbar = modal.querySelector('.screenshot-modal-toolbar');
+    if (modal.tool) {
+        toolbar.replaceChildren(...modal.tool.toolbarItems);
+        return;
+    }
+    const { imageContainer } = modal;
+    const actionButton = (text, title, action) => {
+        const button = createDialogButton(text, action);
+        button.title = title;
+        return button;
+    };
+    const items = [
+        actionButton('Copy', 'Copy image to clipboard', () => {
+            copyStripImage(imageContainer).catch(() => showToast('Image copy failed', 'error'));
+        }),
+        actionButton('Save', 'Save image', async () => {
+            try {
+                await saveStripImage(imageContainer);
+            } catch (error) {
+                console.error('#YtGr4 Save failed:', error);
+                showToast('Save failed', 'error');
+            }
+        }),
+        actionButton('Copy text', 'Copy time, link, note and tags', () => copyFramesAsText([imageContainer])),
+        actionButton('Remove', 'Remove image from the strip', () => removeModalImage(modal)),
+        actionButton('Jump', `Jump to ${formatFrameTime(imageContainer.frame.time, imageContainer.frame.fps)}`, () => {
+            jumpToFrameTime(imageContainer.frame.time);
+            hideModal(modal);
+        }),
+    ];
+    const isStill = imageContainer.frame.mode !== 'animation';
+    if (isStill) items.push(createDialogButton('✂ Crop', () => startCropTool(modal)));
+    if (isStill) items.push(createDialogButton('✎ Draw', () => startAnnotationTool(modal)));
+    const zoomButton = createDialogButton('1:1', () => toggleActualSize(modal));
+    zoomButton.classList.add('screenshot-zoom-button');
+    zoomButton.title = 'Toggle actual size, mouse wheel zooms, drag pans';
+    items.push(zoomButton);
+    toolbar.replaceChildren(...items);
+    updateZoomButton(modal);
+};
+
+/**
+ * Gets the modal's preview image.
+ *
+ * @param {HTMLDivElement} modal Image modal
+ *
+ * @returns {HTMLImageElement} full-size image element
+ */
+const getModalImage = modal => modal.firstChild.querySelector('img');
+
+/**
+ * Gets on-screen rectangle of the image pixels, without border, transforms included.
+ *
+ * @param {HTMLImageElement} image displayed image
+ *
+ * @returns {{ left: number, top: number, width: number, height: number }} image pixels rectangle
+ */
+const getImageContentRect = image => {
+    const bounds = image.getBoundingClientRect();
+    const scale = image.offsetWidth ? bounds.width / image.offsetWidth : 1;
+    return {
+        left: bounds.left + image.clientLeft * scale,
+        top: bounds.top + image.clientTop * scale,
+        width: image.clientWidth * scale,
+        height: image.clientHeight * scale,
+    };
+};
+
+/**
+ * Ends active modal tool and restores default toolbar.
+ *
+ * @param {HTMLDivElement} modal Image modal
+ */
+const stopModalTool = modal => {
+    if (modal.tool && modal.tool.layer) modal.tool.layer.remove();
+    if (modal.tool && modal.tool.onKeyDown) document.removeEventListener('keydown', modal.tool.onKeyDown);
+    modal.tool = null;
+    renderModalToolbar(modal);
+    applyModalView(modal);
+};
+
+/**
+ * Replaces strip image with edited version, keeps its frame data and overlays.
+ * Edited image has not been downloaded yet, so it is no longer marked saved.
+ *
+ * @param {HTMLDivElement} imageContainer strip image container
+ * @param {HTMLCanvasElement} canvas edited image
+ */
+const replaceStripImage = (imageContainer, canvas) => {
+    imageContainer.querySelector('img').src = getImageBase64(canvas);
+    imageContainer.saved = false;
+    imageContainer.style.opacity = '0.9';
+    imageContainer.frame.width = canvas.width;
+    imageContainer.frame.height = canvas.height;
+    imageContainer.querySelector('.screenshot-width').textContent = `${canvas.width}px`;
+    persistScreenshotStrip();
+};
+
+/**
+ * Crop aspect ratio options, width divided by height, 0 for free selection.
+ */
+const cropAspectRatios = { Free: 0, '16:9': 16 / 9, '1:1': 1, '4:5': 4 / 5 };
+
+/**
+ * Converts pointer drag to crop rectangle within the image, keeping aspect ratio if locked.
+ *
+ * @param {{ x: number, y: number }} start drag start relative to image
+ * @param {{ x: number, y: number }} end drag position relative to image
+ * @param {number} ratio width divided by height, 0 for free
+ * @param {DOMRect} bounds displayed image rectangle
+ *
+ * @returns {{ x: number, y: number, width: number, height: number }} rectangle relative to image
+ */
+const getCropRect = (start, end, ratio, bounds) => {
+    const clamp = (value, max) => Math.min(Math.max(value, 0), max);
+    const directionX = end.x < start.x ? -1 : 1;
+    const directionY = end.y < start.y ? -1 : 1;
+    const maxWidth = directionX > 0 ? bounds.width - start.x : start.x;
+    const maxHeight = directionY > 0 ? bounds.height - start.y : start.y;
+    let width = Math.min(Math.abs(clamp(end.x, bounds.width) - start.x), maxWidth);
+    let height = Math.min(Math.abs(clamp(end.y, bounds.height) - start.y), maxHeight);
+    if (ratio) {
+        height = width / ratio;
+        if (height > maxHeight) {
+            height = maxHeight;
+            width = height * ratio;
+        }
+    }
+    return {
+        x: directionX > 0 ? start.x : start.x - width,
+        y: directionY > 0 ? start.y : start.y - height,
+        width,
+        height,
+    };
+};
+
+/**
+ * Cuts rectangle out of the image at natural resolution.
+ *
+ * @param {HTMLImageElement} image displayed image
+ * @param {{ x: number, y: number, width: number, height: number }} rect rectangle in displayed pixels
+ *
+ * @returns {HTMLCanvasElement} cropped image
+ */
+const cropImage = (image, rect) => {
+    const scale = image.naturalWidth / getImageContentRect(image).width;
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(rect.width * scale));
+    canvas.height = Math.max(1, Math.round(rect.height * scale));
+    const ctx = canvas.getContext('2d');
+    const [x, y] = [rect.x * scale, rect.y * scale];
+    ctx.drawImage(image, x, y, canvas.width, canvas.height, 0, 0, canvas.width, canvas.height);
+    return canvas;
+};
+
+/**
+ * Starts crop tool: drag a rectangle over the preview, then replace the strip image or add the crop as a new one.
+ * New crop remembers its source frame.
+ *
+ * @param {HTMLDivElement} modal Image modal
+ */
+const startCropTool = modal => {
+    resetModalView(modal);
+    const image = getModalImage(modal);
+    const modalContent = image.parentElement;
+    let ratio = 0;
+    let rect = null;
+
+    const layer = document.createElement('div');
+    layer.style.position = 'absolute';
+    layer.style.top = '0';
+    layer.style.right = '0';
+    layer.style.bottom = '0';
+    layer.style.left = '0';
+    layer.style.cursor = 'crosshair';
+    layer.style.overflow = 'hidden';
+
+    const selection = document.createElement('div');
+    selection.style.position = 'absolute';
+    selection.style.display = 'none';
+    selection.style.border = '1px dashed white';
+    selection.style.boxShadow = '0 0 0 9999px rgba(0, 0, 0, 0.5)';
+    selection.style.pointerEvents = 'none';
+    layer.appendChild(selection);
+
+    const drawSelection = () => {
+        const imageBounds = getImageContentRect(image);
+        const layerBounds = layer.getBoundingClientRect();
+        selection.style.display = rect ? 'block' : 'none';
+        if (!rect) return;
+        selection.style.left = `${imageBounds.left - layerBounds.left + rect.x}px`;
+        selection.style.top = `${imageBounds.top - layerBounds.top + rect.y}px`;
+        selection.style.width = `${rect.width}px`;
+        selection.style.height = `${rect.height}px`;
+    };
+
+    layer.addEventListener('pointerdown', event => {
+        event.preventDefault();
+        const bounds = getImageContentRect(image);
+        const toImage = pointerEvent => ({
+            x: pointerEvent.clientX - bounds.left,
+            y: pointerEvent.clientY - bounds.top,
+        });
+        const start = toImage(event);
+        if (start.x < 0 || start.y < 0 || start.x > bounds.width || start.y > bounds.height) return;
+        layer.setPointerCapture(event.pointerId);
+
+        const onMove = moveEvent => {
+            rect = getCropRect(start, toImage(moveEvent), ratio, bounds);
+            drawSelection();
+        };
+        const onUp = () => {
+            layer.removeEventListener('pointermove', onMove);
+            if (rect && (rect.width < 4 || rect.height < 4)) rect = null;
+            drawSelection();
+            updateButtons();
+        };
+        layer.addEventListener('pointermove', onMove);
+        layer.addEventListener('pointerup', onUp, { once: true });
+    });
+
+    const applyCrop = async isNew => {
+        if (!rect) return;
+        const source = modal.imageContainer;
+        const canvas = cropImage(image, rect);
+        if (isNew) {
+            const { time, fps, key, note, tags } = source.frame;
+            const { width, height } = canvas;
+            modal.imageContainer = await addImageToStrip({
+                canvas,
+                width,
+                height,
+                time,
+                fps,
+                mode: 'crop',
+                source: key,
+                note,
+                tags: [...tags],
+            });
+        } else {
+            replaceStripImage(source, canvas);
+        }
+        showModalImage(modal, modal.imageContainer);
+    };
+
+    const aspectOptions = Object.fromEntries(Object.keys(cropAspectRatios).map(label => [label, label]));
+    const aspectInput = createSelectInput(aspectOptions, 'Free', value => {
+        ratio = cropAspectRatios[value];
+        rect = null;
+        drawSelection();
+        updateButtons();
+    });
+    const replaceButton = createDialogButton('Replace', () => applyCrop(false));
+    const addButton = createDialogButton('Add as new', () => applyCrop(true));
+    const cancelButton = createDialogButton('Cancel', () => stopModalTool(modal));
+    const updateButtons = () => {
+        [replaceButton, addButton].forEach(button => {
+            button.disabled = !rect;
+            button.style.opacity = rect ? '1' : '0.5';
+        });
+    };
+    updateButtons();
+
+    modalContent.appendChild(layer);
+    modal.tool = { name: 'crop', layer, toolbarItems: [aspectInput, replaceButton, addButton, cancelButton] };
+    renderModalToolbar(modal);
+    applyModalView(modal);
+};
+
+/**
+ * Annotation tools with their toolbar labels.
+ */
+const annotationTools = {
+    pen: '✎ Pen',
+    highlighter: '▮ Highlighter',
+    arrow: '➔ Arrow',
+    rectangle: '▭ Box',
+    ellipse: '◯ Ellipse',
+    text: 'T Text',
+};
+
+const annotationColors = { '#e53935': 'Red', '#1e88e5': 'Blue', '#000000': 'Black' };
+
+/**
+ * Pen widths relative to image width, so marks look the same on any capture size.
+ */
+const annotationWidths = { 0.002: 'Thin', 0.004: 'Medium', 0.008: 'Thick' };
+
+/**
+ * @typedef {Object} Annotation
+ * @property {string} tool key of annotationTools
+ * @property {string} color stroke or text color
+ * @property {number} width line width in image pixels
+ * @property {{ x: number, y: number }[]} points pen and highlighter path, or start and end of shapes
+ * @property {string | undefined} text text label
  */
-const isWatchUrl = () => location.href.includes('/watch?');
 
 /**
- * Checks if user is in input fields
+ * Draws an annotation in image pixel coordinates.
+ *
+ * @param {CanvasRenderingContext2D} ctx target context
+ * @param {Annotation} annotation annotation to draw
  */
-const isInInputField = () => {
-    const searchInputField = document.querySelector('input#search');
-    const commentInputField = document.querySelector('div#contenteditable-root');
-    const isInSearchField = searchInputField === document.activeElement;
-    const isInCommentField = commentInputField === document.activeElement;
-    return isInSearchField || isInCommentField;
+const drawAnnotation = (ctx, annotation) => {
+    const { tool, color, width, points, text } = annotation;
+    const [start, end = start] = [points[0], points[points.length - 1]];
+    ctx.save();
+    ctx.strokeStyle = color;
+    ctx.fillStyle = color;
+    ctx.lineWidth = width;
+    ctx.lineCap = 'round';
+    ctx.lineJoin = 'round';
+    ctx.beginPath();
+
+    if (tool === 'pen' || tool === 'highlighter') {
+        if (tool === 'highlighter') {
+            ctx.strokeStyle = '#ffeb3b';
+            ctx.globalAlpha = 0.4;
+            ctx.lineWidth = width * 4;
+            ctx.lineCap = 'square';
+        }
+        points.forEach(({ x, y }, idx) => (idx ? ctx.lineTo(x, y) : ctx.moveTo(x, y)));
+        if (points.length === 1) ctx.lineTo(start.x + 0.1, start.y);
+        ctx.stroke();
+    } else if (tool === 'arrow') {
+        const angle = Math.atan2(end.y - start.y, end.x - start.x);
+        const head = Math.max(width * 4, 10);
+        ctx.moveTo(start.x, start.y);
+        ctx.lineTo(end.x, end.y);
+        ctx.moveTo(end.x - head * Math.cos(angle - Math.PI / 6), end.y - head * Math.sin(angle - Math.PI / 6));
+        ctx.lineTo(end.x, end.y);
+        ctx.lineTo(end.x - head * Math.cos(angle + Math.PI / 6), end.y - head * Math.sin(angle + Math.PI / 6));
+        ctx.stroke();
+    } else if (tool === 'rectangle') {
+        ctx.strokeRect(start.x, start.y, end.x - start.x, end.y - start.y);
+    } else if (tool === 'ellipse') {
+        const radiusX = Math.abs(end.x - start.x) / 2;
+        const radiusY = Math.abs(end.y - start.y) / 2;
+        ctx.ellipse((start.x + end.x) / 2, (start.y + end.y) / 2, radiusX, radiusY, 0, 0, 2 * Math.PI);
+        ctx.stroke();
+    } else if (tool === 'text') {
+        ctx.font = `bold ${Math.round(width * 8)}px Arial, sans-serif`;
+        ctx.textBaseline = 'top';
+        ctx.lineWidth = Math.max(1, width / 2);
+        ctx.strokeStyle = color === '#000000' ? '#ffffff' : '#000000';
+        ctx.strokeText(text, start.x, start.y);
+        ctx.fillText(text, start.x, start.y);
+    }
+    ctx.restore();
 };
 
 /**
- * Keypress handler.
- * Key '[' grabs full frame.
- * Key ']' grabs actual frame size.
- * Key 'p' or 'P' toggles video controls visibility.
- * Key 'Quote' copies video title, duration and url.
- * Keypresses ignored if focused to input fields.
+ * Draws image with annotations at natural resolution.
+ *
+ * @param {HTMLImageElement} image source image
+ * @param {Annotation[]} annotations annotations in drawing order
+ *
+ * @returns {HTMLCanvasElement} flattened image
  */
-const logKey = e => {
-    if (!isWatchUrl() || !metaData.href) return null;
-    if (isInInputField()) return null;
-    if (e.key === 'p' || e.key === 'P') toggleUIVisibility();
-    if (e.key === '[') getScreenshotImage();
-    if (e.key === ']') getScreenshotImage(true);
-    if (e.key === "'") copyVideoLink();
-    if (e.key === 'u' || e.key === 'U') consoleGlobals();
-    return null;
+const flattenAnnotations = (image, annotations) => {
+    const canvas = getCanvas({ image, width: image.naturalWidth, height: image.naturalHeight });
+    const ctx = canvas.getContext('2d');
+    annotations.forEach(annotation => drawAnnotation(ctx, annotation));
+    return canvas;
 };
 
 /**
- * Looks for mutations in title and duration elements
- * If found - updates script globals
+ * Starts annotation tool: pens, highlighter, arrows, boxes, ellipses and text over the preview.
+ * Ctrl+Z undoes, Ctrl+Shift+Z or Ctrl+Y redoes.
+ * Annotations are flattened onto a copy of the image, which replaces the strip image or is added as a new one.
  *
- * @param { MutationRecord[] } mutations Mutation list from observer
+ * @param {HTMLDivElement} modal Image modal
  */
-const updateTitleDuration = mutations => {
-    mutations.forEach(mutant => {
-        const { target, addedNodes } = mutant;
+const startAnnotationTool = modal => {
+    resetModalView(modal);
+    const image = getModalImage(modal);
+    const modalContent = image.parentElement;
+    const annotations = [];
+    const undone = [];
+    const options = { tool: 'pen', color: '#e53935', width: 0.004 };
+
+    const bounds = getImageContentRect(image);
+    const contentBounds = modalContent.getBoundingClientRect();
+    const canvas = document.createElement('canvas');
+    canvas.width = image.naturalWidth;
+    canvas.height = image.naturalHeight;
+    canvas.style.position = 'absolute';
+    canvas.style.left = `${bounds.left - contentBounds.left}px`;
+    canvas.style.top = `${bounds.top - contentBounds.top}px`;
+    canvas.style.width = `${bounds.width}px`;
+    canvas.style.height = `${bounds.height}px`;
+    canvas.style.cursor = 'crosshair';
+    canvas.style.touchAction = 'none';
+    const ctx = canvas.getContext('2d');
+    const scale = image.naturalWidth / bounds.width;
 
-        const hasAddedNode = addedNodes.length;
-        if (!hasAddedNode) return null;
+    const redraw = () => {
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        annotations.forEach(annotation => drawAnnotation(ctx, annotation));
+        updateButtons();
+    };
 
-        // Check for document title changes (most reliable for SPA)
-        if (target === document.head || target.tagName === 'TITLE') {
-            setTitle();
+    const addAnnotation = annotation => {
+        annotations.push(annotation);
+        undone.length = 0;
+        redraw();
+    };
+
+    const toImage = event => {
+        const canvasBounds = canvas.getBoundingClientRect();
+        return { x: (event.clientX - canvasBounds.left) * scale, y: (event.clientY - canvasBounds.top) * scale };
+    };
+
+    const placeTextInput = point => {
+        const input = createTextInput('');
+        input.style.position = 'absolute';
+        input.style.left = `${canvas.offsetLeft + point.x / scale}px`;
+        input.style.top = `${canvas.offsetTop + point.y / scale}px`;
+        input.style.minWidth = '160px';
+        input.placeholder = 'Label, Enter to place';
+        const commit = () => {
+            if (!input.parentNode) return;
+            input.remove();
+            const text = input.value.trim();
+            if (text) addAnnotation({ ...options, width: options.width * image.naturalWidth, points: [point], text });
+        };
+        input.addEventListener('keydown', event => {
+            event.stopPropagation();
+            if (event.key === 'Enter') commit();
+            if (event.key === 'Escape') input.remove();
+        });
+        input.addEventListener('blur', commit);
+        modalContent.appendChild(input);
+        input.focus();
+    };
+
+    canvas.addEventListener('pointerdown', event => {
+        event.preventDefault();
+        const point = toImage(event);
+        if (options.tool === 'text') {
+            placeTextInput(point);
             return null;
         }
 
-        // Check for main content title changes (primary method for SPA)
+        canvas.setPointerCapture(event.pointerId);
+        const annotation = { ...options, width: options.width * image.naturalWidth, points: [point] };
+        annotations.push(annotation);
+        undone.length = 0;
+        const isPath = options.tool === 'pen' || options.tool === 'highlighter';
+
+        const onMove = moveEvent => {
+            annotation.points = isPath ? [...annotation.points, toImage(moveEvent)] : [point, toImage(moveEvent)];
+            redraw();
+        };
+        const onUp = () => {
+            canvas.removeEventListener('pointermove', onMove);
+            redraw();
+        };
+        canvas.addEventListener('pointermove', onMove);
+        canvas.addEventListener('pointerup', onUp, { once: true });
+        redraw();
+        return null;
+    });
+
+    const undo = () => {
+        if (annotations.length) undone.push(annotations.pop());
+        redraw();
+    };
+    const redo = () => {
+        if (undone.length) annotations.push(undone.pop());
+        redraw();
+    };
+
+    const applyAnnotations = async isNew => {
+        if (!annotations.length) return;
+        const source = modal.imageContainer;
+        const flattened = flattenAnnotations(image, annotations);
+        if (isNew) {
+            const { time, fps, key, note, tags } = source.frame;
+            const { width, height } = flattened;
+            const frame = {
+                canvas: flattened,
+                width,
+                height,
+                time,
+                fps,
+                mode: 'annotated',
+                source: key,
+                note,
+                tags: [...tags],
+            };
+            modal.imageContainer = await addImageToStrip(frame);
+        } else {
+            replaceStripImage(source, flattened);
+        }
+        showModalImage(modal, modal.imageContainer);
+    };
+
+    const toolInput = createSelectInput(annotationTools, options.tool, value => {
+        options.tool = value;
+    });
+    const colorInput = createSelectInput(annotationColors, options.color, value => {
+        options.color = value;
+    });
+    const widthInput = createSelectInput(annotationWidths, `${options.width}`, value => {
+        options.width = parseFloat(value);
+    });
+    const undoButton = createDialogButton('↶ Undo', undo);
+    const redoButton = createDialogButton('↷ Redo', redo);
+    const replaceButton = createDialogButton('Replace', () => applyAnnotations(false));
+    const addButton = createDialogButton('Add as new', () => applyAnnotations(true));
+    const cancelButton = createDialogButton('Cancel', () => stopModalTool(modal));
+    [toolInput, colorInput, widthInput, undoButton, redoButton].forEach(control => {
+        control.style.minWidth = '0';
+    });
+    const updateButtons = () => {
+        const states = [
+            [undoButton, annotations.length],
+            [redoButton, undone.length],
+            [replaceButton, annotations.length],
+            [addButton, annotations.length],
+        ];
+        states.forEach(([button, isEnabled]) => {
+            button.disabled = !isEnabled;
+            button.style.opacity = isEnabled ? '1' : '0.5';
+        });
+    };
+    updateButtons();
+
+    const onKeyDown = event => {
+        if (!(event.ctrlKey || event.metaKey) || event.target.tagName === 'INPUT') return;
+        const key = event.key.toLowerCase();
+        if (key === 'z' && !event.shiftKey) undo();
+        else if ((key === 'z' && event.shiftKey) || key === 'y') redo();
+        else return;
+        event.preventDefault();
+        event.stopPropagation();
+    };
+    document.addEventListener('keydown', onKeyDown);
+
+    modalContent.appendChild(canvas);
+    const toolbarItems = [toolInput, colorInput, widthInput, undoButton, redoButton, replaceButton, addButton];
+    modal.tool = { name: 'annotate', layer: canvas, onKeyDown, toolbarItems: [...toolbarItems, cancelButton] };
+    renderModalToolbar(modal);
+    applyModalView(modal);
+};
+
+/**
+ * Gets size of one image pixel on screen at current zoom.
+ *
+ * @param {HTMLDivElement} modal Image modal
+ *
+ * @returns {number} screen pixels per image pixel
+ */
+const getModalPixelSize = modal => {
+    const image = getModalImage(modal);
+    return image.naturalWidth ? (modal.view.scale * image.clientWidth) / image.naturalWidth : 1;
+};
+
+/**
+ * Shows grid along image pixel edges when pixels are large enough to tell apart.
+ *
+ * @param {HTMLDivElement} modal Image modal
+ * @param {number} pixelSize screen pixels per image pixel
+ */
+const updatePixelGrid = (modal, pixelSize) => {
+    let grid = modal.querySelector('.screenshot-pixel-grid');
+    if (pixelSize < 8) {
+        if (grid) grid.remove();
+        return;
+    }
+    if (!grid) {
+        grid = document.createElement('div');
+        grid.className = 'screenshot-pixel-grid';
+        grid.style.position = 'fixed';
+        grid.style.pointerEvents = 'none';
+        const line = 'rgba(128, 128, 128, 0.35) 1px, transparent 1px';
+        grid.style.backgroundImage = `linear-gradient(to right, ${line}), linear-gradient(to bottom, ${line})`;
+        modal.appendChild(grid);
+    }
+
+    // Grid covers only visible part of the image, lines are shifted to keep them on pixel edges
+    const rect = getImageContentRect(getModalImage(modal));
+    const left = Math.max(rect.left, 0);
+    const top = Math.max(rect.top, 0);
+    grid.style.left = `${left}px`;
+    grid.style.top = `${top}px`;
+    grid.style.width = `${Math.max(0, Math.min(rect.left + rect.width, window.innerWidth) - left)}px`;
+    grid.style.height = `${Math.max(0, Math.min(rect.top + rect.height, window.innerHeight) - top)}px`;
+    grid.style.backgroundSize = `${pixelSize}px ${pixelSize}px`;
+    grid.style.backgroundPosition = `${(rect.left - left) % pixelSize}px ${(rect.top - top) % pixelSize}px`;
+};
+
+/**
+ * Updates zoom toggle label: '1:1' zooms to actual size, 'Fit' returns to fitted view.
+ *
+ * @param {HTMLDivElement} modal Image modal
+ */
+const updateZoomButton = modal => {
+    const zoomButton = modal.querySelector('.screenshot-zoom-button');
+    if (zoomButton)
+        zoomButton.textContent = modal.view.scale > 1 ? `Fit (${Math.round(getModalPixelSize(modal) * 100)}%)` : '1:1';
+};
+
+/**
+ * Applies zoom and pan to the preview image.
+ * Zoomed beyond actual size, image is scaled with nearest-neighbour to show real pixels.
+ *
+ * @param {HTMLDivElement} modal Image modal
+ */
+const applyModalView = modal => {
+    const image = getModalImage(modal);
+    const { scale, x, y } = modal.view;
+    const pixelSize = getModalPixelSize(modal);
+    image.style.transformOrigin = '0 0';
+    image.style.transform = `translate(${x}px, ${y}px) scale(${scale})`;
+    image.style.imageRendering = pixelSize > 2 ? 'pixelated' : 'auto';
+    modal.style.cursor = modal.tool ? 'default' : scale > 1 ? 'grab' : 'pointer';
+    updatePixelGrid(modal, pixelSize);
+    updateZoomButton(modal);
+};
+
+/**
+ * Zooms preview keeping the image point under the cursor in place.
+ * Zoom is limited from fitted size to 64 screen pixels per image pixel.
+ *
+ * @param {HTMLDivElement} modal Image modal
+ * @param {number} scale New scale relative to fitted size
+ * @param {number} clientX Zoom center
+ * @param {number} clientY Zoom center
+ */
+const zoomModalImage = (modal, scale, clientX, clientY) => {
+    const image = getModalImage(modal);
+    const { view } = modal;
+    const maxScale = (64 * image.naturalWidth) / Math.max(1, image.clientWidth);
+    const newScale = Math.min(Math.max(scale, 1), Math.max(1, maxScale));
+    const rect = image.getBoundingClientRect();
+    const pointX = (clientX - rect.left) / view.scale;
+    const pointY = (clientY - rect.top) / view.scale;
+    const layoutLeft = rect.left - view.x;
+    const layoutTop = rect.top - view.y;
+    view.x = newScale === 1 ? 0 : clientX - layoutLeft - newScale * pointX;
+    view.y = newScale === 1 ? 0 : clientY - layoutTop - newScale * pointY;
+    view.scale = newScale;
+    applyModalView(modal);
+};
+
+/**
+ * Resets preview to fitted size.
+ *
+ * @param {HTMLDivElement} modal Image modal
+ */
+const resetModalView = modal => {
+    modal.view = { scale: 1, x: 0, y: 0 };
+    applyModalView(modal);
+};
+
+/**
+ * Toggles between fitted size and actual size centered on the viewport.
+ *
+ * @param {HTMLDivElement} modal Image modal
+ */
+const toggleActualSize = modal => {
+    if (modal.view.scale > 1) {
+        resetModalView(modal);
+        return;
+    }
+    const image = getModalImage(modal);
+    const actualScale = image.naturalWidth / Math.max(1, image.clientWidth);
+    zoomModalImage(modal, actualScale, window.innerWidth / 2, window.innerHeight / 2);
+};
+
+/**
+ * Adds wheel zoom and drag panning to the preview.
+ * Drag that moved the image suppresses the click closing the modal.
+ *
+ * @param {HTMLDivElement} modal Image modal
+ */
+const enableModalZoom = modal => {
+    modal.view = { scale: 1, x: 0, y: 0 };
+    modal.style.overflow = 'hidden';
+
+    modal.addEventListener(
+        'wheel',
+        event => {
+            if (modal.tool || event.target.closest('.screenshot-modal-notes')) return;
+            event.preventDefault();
+            zoomModalImage(modal, modal.view.scale * Math.exp(-event.deltaY * 0.0015), event.clientX, event.clientY);
+        },
+        { passive: false }
+    );
+
+    modal.addEventListener('pointerdown', event => {
+        modal.wasPanned = false;
         if (
-            target.classList &&
-            (target.classList.contains('ytd-watch-metadata') ||
-                target.classList.contains('ytd-videoPrimaryInfoRenderer') ||
-                (target.querySelector &&
-                    (target.querySelector('h1.ytd-watch-metadata') ||
-                        target.querySelector('h1.ytd-videoPrimaryInfoRenderer') ||
-                        target.querySelector('#title h1'))))
-        ) {
-            setTitle();
-            return null;
+            modal.tool ||
+            modal.view.scale <= 1 ||
+            event.target.closest('.screenshot-modal-toolbar, .screenshot-modal-nav, .screenshot-modal-notes')
+        )
+            return;
+        event.preventDefault();
+        const start = { x: event.clientX, y: event.clientY, viewX: modal.view.x, viewY: modal.view.y };
+        modal.setPointerCapture(event.pointerId);
+        modal.style.cursor = 'grabbing';
+
+        const onMove = moveEvent => {
+            const dx = moveEvent.clientX - start.x;
+            const dy = moveEvent.clientY - start.y;
+            if (Math.abs(dx) + Math.abs(dy) > 3) modal.wasPanned = true;
+            modal.view.x = start.viewX + dx;
+            modal.view.y = start.viewY + dy;
+            applyModalView(modal);
+        };
+        const onUp = () => {
+            modal.removeEventListener('pointermove', onMove);
+            applyModalView(modal);
+        };
+        modal.addEventListener('pointermove', onMove);
+        modal.addEventListener('pointerup', onUp, { once: true });
+    });
+};
+
+/**
+ * Creates previous or next image button at the modal's side.
+ *
+ * @param {number} direction -1 for previous, 1 for next
+ * @param {Function} onClick click handler
+ *
+ * @returns {HTMLDivElement} navigation button
+ */
+const createModalNavButton = (direction, onClick) => {
+    const button = document.createElement('div');
+    button.className = 'screenshot-modal-nav';
+    button.textContent = direction < 0 ? '‹' : '›';
+    button.title = direction < 0 ? 'Previous image (←)' : 'Next image (→)';
+    button.style.position = 'absolute';
+    button.style.top = '50%';
+    button.style[direction < 0 ? 'left' : 'right'] = '16px';
+    button.style.transform = 'translateY(-50%)';
+    button.style.width = '48px';
+    button.style.height = '48px';
+    button.style.borderRadius = '50%';
+    button.style.display = 'flex';
+    button.style.alignItems = 'center';
+    button.style.justifyContent = 'center';
+    button.style.fontSize = '36px';
+    button.style.color = 'white';
+    button.style.backgroundColor = 'rgba(0, 0, 0, 0.8)';
+    button.style.cursor = 'pointer';
+    button.style.userSelect = 'none';
+    button.style.zIndex = '1';
+    button.style.transition = 'background-color 0.2s, opacity 0.2s';
+
+    button.addEventListener('mouseenter', () => {
+        button.style.backgroundColor = 'rgba(255, 255, 255, 0.2)';
+    });
+
+    button.addEventListener('mouseleave', () => {
+        button.style.backgroundColor = 'rgba(0, 0, 0, 0.8)';
+    });
+
+    button.addEventListener('click', event => {
+        event.stopPropagation();
+        onClick();
+    });
+
+    return button;
+};
+
+/**
+ * Gets strip images the modal steps through, tag filter applies, shown image is always included.
+ *
+ * @param {HTMLDivElement} modal Image modal
+ *
+ * @returns {HTMLDivElement[]} image containers in strip order
+ */
+const getModalImageContainers = modal =>
+    getStripImageContainers().filter(
+        imageContainer => imageContainer === modal.imageContainer || !isHiddenByTagFilter(imageContainer)
+    );
+
+/**
+ * Creates panel editing shown image's note and tags, changes are stored as they are typed.
+ *
+ * @param {HTMLDivElement} modal Image modal
+ *
+ * @returns {HTMLDivElement} notes panel
+ */
+const createModalNotesPanel = modal => {
+    const panel = document.createElement('div');
+    panel.className = 'screenshot-modal-notes';
+    panel.style.position = 'absolute';
+    panel.style.left = '16px';
+    panel.style.bottom = '16px';
+    panel.style.width = '280px';
+    panel.style.display = 'flex';
+    panel.style.flexDirection = 'column';
+    panel.style.gap = '6px';
+    panel.style.padding = '8px';
+    panel.style.backgroundColor = 'rgba(0, 0, 0, 0.8)';
+    panel.style.borderRadius = '4px';
+    panel.style.cursor = 'default';
+    panel.style.zIndex = '1';
+
+    const onInput = () => {
+        const { imageContainer } = modal;
+        imageContainer.frame.note = panel.noteInput.value.trim();
+        imageContainer.frame.tags = parseTags(panel.tagsInput.value);
+        updateNoteOverlay(imageContainer);
+        persistScreenshotStrip();
+    };
+
+    panel.noteInput = styleSettingsControl(document.createElement('textarea'));
+    panel.noteInput.placeholder = 'Note';
+    panel.noteInput.rows = 3;
+    panel.noteInput.style.resize = 'vertical';
+    panel.noteInput.addEventListener('input', onInput);
+    panel.tagsInput = createTextInput('');
+    panel.tagsInput.placeholder = 'Tags, comma separated';
+    panel.tagsInput.addEventListener('input', onInput);
+    panel.tagsInput.addEventListener('change', applyTagFilter);
+
+    panel.appendChild(panel.noteInput);
+    panel.appendChild(panel.tagsInput);
+    return panel;
+};
+
+/**
+ * Shows strip image in the modal: resets tools and zoom, fills title with position, time, resolution and file name.
+ *
+ * @param {HTMLDivElement} modal Image modal
+ * @param {HTMLDivElement} imageContainer strip image container
+ */
+const showModalImage = (modal, imageContainer) => {
+    if (modal.tool) stopModalTool(modal);
+    modal.imageContainer = imageContainer;
+    const { time, fps, width, height, mode } = imageContainer.frame;
+    const src = imageContainer.querySelector('img').src;
+    getModalImage(modal).src = src;
+
+    const imageContainers = getModalImageContainers(modal);
+    const index = imageContainers.indexOf(imageContainer);
+    const extension = mode === 'animation' ? (src.startsWith('data:image/gif') ? 'gif' : 'png') : undefined;
+    modal.querySelector('.screenshot-modal-title').textContent = [
+        `${index + 1} / ${imageContainers.length}`,
+        formatFrameTime(time, fps),
+        `${width}×${height}`,
+        getImageName(imageContainer, extension),
+    ].join('  ·  ');
+
+    modal.querySelectorAll('.screenshot-modal-nav').forEach(button => {
+        const isPrevious = button.textContent === '‹';
+        const enabled = isPrevious ? index > 0 : index < imageContainers.length - 1;
+        button.style.opacity = enabled ? '1' : '0.3';
+        button.style.pointerEvents = enabled ? 'auto' : 'none';
+    });
+
+    const notesPanel = modal.querySelector('.screenshot-modal-notes');
+    notesPanel.noteInput.value = imageContainer.frame.note;
+    notesPanel.tagsInput.value = imageContainer.frame.tags.join(', ');
+
+    renderModalToolbar(modal);
+    resetModalView(modal);
+};
+
+/**
+ * Moves modal to previous or next image in the strip.
+ *
+ * @param {HTMLDivElement} modal Image modal
+ * @param {number} direction -1 for previous, 1 for next
+ */
+const showAdjacentModalImage = (modal, direction) => {
+    const imageContainers = getModalImageContainers(modal);
+    const next = imageContainers[imageContainers.indexOf(modal.imageContainer) + direction];
+    if (next) showModalImage(modal, next);
+};
+
+/**
+ * Removes modal's image from the strip and shows the next one, closes modal after the last.
+ *
+ * @param {HTMLDivElement} modal Image modal
+ */
+const removeModalImage = modal => {
+    const imageContainers = getModalImageContainers(modal);
+    const index = imageContainers.indexOf(modal.imageContainer);
+    const next = imageContainers[index + 1] || imageContainers[index - 1];
+    removeStripImage(modal.imageContainer);
+    if (next) {
+        showModalImage(modal, next);
+    } else {
+        hideModal(modal);
+    }
+};
+
+/**
+ * Handles click on image to open modal preview.
+ * Clicks close the modal unless a tool is active, Escape leaves the tool first.
+ *
+ * @param {Event} event Click event on the image
+ */
+const openImageModal = event => {
+    event.preventDefault();
+    event.stopPropagation();
+
+    const imageElement = event.target;
+    const imageContainer = imageElement.closest('[id^="screenshot-"]');
+
+    const modal = createImageModal(imageElement.src);
+    modal.tool = null;
+    enableModalZoom(modal);
+    modal.appendChild(createModalToolbar());
+    modal.appendChild(createModalNavButton(-1, () => showAdjacentModalImage(modal, -1)));
+    modal.appendChild(createModalNavButton(1, () => showAdjacentModalImage(modal, 1)));
+    modal.appendChild(createModalNotesPanel(modal));
+    showModalImage(modal, imageContainer);
+
+    modal.addEventListener('click', event => {
+        if (modal.wasPanned) {
+            modal.wasPanned = false;
+            return;
+        }
+        if (
+            modal.tool ||
+            event.target.closest('.screenshot-modal-toolbar, .screenshot-modal-nav, .screenshot-modal-notes')
+        )
+            return;
+        hideModal(modal);
+    });
+
+    // Capturing phase keeps arrow keys from seeking the video behind the modal
+    const keyHandler = event => {
+        if (!modal.parentNode) {
+            document.removeEventListener('keydown', keyHandler, true);
+            return;
+        }
+        const isTyping = event.target.matches && event.target.matches('input, textarea');
+        if (!modal.tool && !isTyping && ['ArrowLeft', 'ArrowRight'].includes(event.key) && !event.shiftKey) {
+            event.preventDefault();
+            event.stopPropagation();
+            showAdjacentModalImage(modal, event.key === 'ArrowLeft' ? -1 : 1);
+            return;
+        }
+        if (event.key !== 'Escape') return;
+        if (modal.tool) {
+            stopModalTool(modal);
+            return;
         }
+        hideModal(modal);
+        document.removeEventListener('keydown', keyHandler, true);
+    };
+    document.addEventListener('keydown', keyHandler, true);
 
-        // Duration tracking (reliable)
-        const hasDurationClass = target.classList && target.classList.contains('ytp-time-duration');
-        if (hasDurationClass) metaData.duration = getElementText(target);
+    showModal(modal);
+};
+
+/**
+ * Formats shortcut string for display.
+ *
+ * @param {string} combo shortcut string from getKeyCombo
+ *
+ * @returns {string} readable shortcut
+ */
+const formatKeyCombo = combo => {
+    if (!combo) return 'None';
+    if (combo === ' ') return 'Space';
+    return combo.replace(/\+ $/, '+Space');
+};
+
+/**
+ * Checks shortcut against other script shortcuts and YouTube's own keys.
+ *
+ * @param {string} name Shortcut name from shortcutDefinitions
+ * @param {Object} shortcuts Shortcut map being edited
+ *
+ * @returns {{ message: string, isError: boolean } | null} conflict description, errors prevent saving
+ */
+const getShortcutConflict = (name, shortcuts) => {
+    const combo = shortcuts[name];
+    if (!combo) return null;
+    const duplicate = Object.keys(shortcuts).find(other => other !== name && shortcuts[other] === combo);
+    if (duplicate) return { message: `Also used for "${shortcutDefinitions[duplicate].label}"`, isError: true };
+    if (youtubeShortcuts.includes(combo)) return { message: 'Overrides a YouTube shortcut', isError: false };
+    return null;
+};
+
+/**
+ * Creates a labelled settings row.
+ *
+ * @param {string} labelText Row label
+ * @param {HTMLElement} control Input element
+ *
+ * @returns {HTMLDivElement} row element
+ */
+const createSettingsRow = (labelText, control) => {
+    const row = document.createElement('div');
+    row.style.display = 'flex';
+    row.style.alignItems = 'center';
+    row.style.justifyContent = 'space-between';
+    row.style.gap = '16px';
+    row.style.margin = '6px 0';
+
+    const label = document.createElement('label');
+    label.textContent = labelText;
+    row.appendChild(label);
+    row.appendChild(control);
+    return row;
+};
+
+/**
+ * Creates settings section heading.
+ *
+ * @param {string} text Heading text
+ *
+ * @returns {HTMLHeadingElement} heading element
+ */
+const createSettingsHeading = text => {
+    const heading = document.createElement('h3');
+    heading.textContent = text;
+    heading.style.margin = '16px 0 4px';
+    heading.style.fontSize = '14px';
+    heading.style.opacity = '0.7';
+    return heading;
+};
+
+/**
+ * Applies common style to settings inputs and buttons.
+ *
+ * @param {HTMLElement} element input, select or button element
+ *
+ * @returns {HTMLElement} styled element
+ */
+const styleSettingsControl = element => {
+    element.style.minWidth = '120px';
+    element.style.padding = '4px 8px';
+    element.style.color = 'white';
+    element.style.backgroundColor = 'rgba(255, 255, 255, 0.1)';
+    element.style.border = '1px solid rgba(255, 255, 255, 0.2)';
+    element.style.borderRadius = '4px';
+    element.style.fontSize = '13px';
+    return element;
+};
+
+/**
+ * Creates dialog button.
+ *
+ * @param {string} text Button text
+ * @param {function(Event): void} onClick click handler
+ *
+ * @returns {HTMLButtonElement} button element
+ */
+const createDialogButton = (text, onClick) => {
+    const button = styleSettingsControl(document.createElement('button'));
+    button.type = 'button';
+    button.textContent = text;
+    button.style.minWidth = '80px';
+    button.style.cursor = 'pointer';
+    button.addEventListener('click', onClick);
+    return button;
+};
+
+/**
+ * Creates numeric settings input.
+ *
+ * @param {number} value Current value
+ * @param {number} min Minimal value
+ * @param {number} max Maximal value
+ * @param {function(number): void} onChange called with clamped value
+ *
+ * @returns {HTMLInputElement} input element
+ */
+const createNumberInput = (value, min, max, onChange) => {
+    const input = styleSettingsControl(document.createElement('input'));
+    input.type = 'number';
+    input.min = min;
+    input.max = max;
+    input.value = value;
+    input.addEventListener('change', () => {
+        const clamped = Math.min(max, Math.max(min, parseInt(input.value, 10) || min));
+        input.value = clamped;
+        onChange(clamped);
+    });
+    return input;
+};
+
+/**
+ * Creates checkbox settings input.
+ *
+ * @param {boolean} checked Current value
+ * @param {function(boolean): void} onChange called with new value
+ *
+ * @returns {HTMLInputElement} input element
+ */
+const createCheckboxInput = (checked, onChange) => {
+    const input = document.createElement('input');
+    input.type = 'checkbox';
+    input.checked = checked;
+    input.addEventListener('change', () => onChange(input.checked));
+    return input;
+};
 
-        const durationChild = target.querySelector && target.querySelector('.ytp-time-duration');
-        if (durationChild) metaData.duration = getElementText(durationChild);
+/**
+ * Creates settings drop-down.
+ *
+ * @param {Object<string, string>} options option values mapped to their labels
+ * @param {string} value Selected value
+ * @param {function(string): void} onChange called with selected value
+ *
+ * @returns {HTMLSelectElement} select element
+ */
+const createSelectInput = (options, value, onChange) => {
+    const select = styleSettingsControl(document.createElement('select'));
+    Object.entries(options).forEach(([optionValue, label]) => {
+        const option = document.createElement('option');
+        option.value = optionValue;
+        option.textContent = label;
+        option.style.color = 'black';
+        select.appendChild(option);
+    });
+    select.value = value;
+    select.addEventListener('change', () => onChange(select.value));
+    return select;
+};
 
-        // Legacy title tracking (fallback only, unreliable during ads)
-        const hasTitleClass = target.classList && target.classList.contains('ytp-title-link');
-        if (hasTitleClass && !metaData.title) setTitle(); // Only use if no title found yet
+/**
+ * Creates button that records a new key for the shortcut.
+ * Escape cancels recording, Backspace or Delete disables the shortcut.
+ *
+ * @param {string} name Shortcut name from shortcutDefinitions
+ * @param {Object} shortcuts Shortcut map being edited
+ * @param {function(): void} onChange called after shortcut is changed
+ *
+ * @returns {HTMLButtonElement} shortcut button
+ */
+const createShortcutButton = (name, shortcuts, onChange) => {
+    const button = createDialogButton(formatKeyCombo(shortcuts[name]), () => {
+        button.textContent = 'Press a key…';
+        button.recording = true;
+    });
+    button.style.fontFamily = 'monospace';
 
-        const titleChild = target.querySelector && target.querySelector('.ytp-title-link');
-        if (titleChild && !metaData.title) setTitle(); // Only use if no title found yet
+    button.addEventListener('keydown', event => {
+        if (!button.recording) return;
+        event.preventDefault();
+        event.stopPropagation();
+        if (['Control', 'Alt', 'Shift', 'Meta'].includes(event.key)) return;
+        button.recording = false;
+        if (event.key === 'Backspace' || event.key === 'Delete') shortcuts[name] = '';
+        else if (event.key !== 'Escape') shortcuts[name] = getKeyCombo(event);
+        button.textContent = formatKeyCombo(shortcuts[name]);
+        onChange();
+    });
 
-        return null;
+    button.addEventListener('blur', () => {
+        button.recording = false;
+        button.textContent = formatKeyCombo(shortcuts[name]);
     });
+
+    return button;
 };
 
 /**
- * Mutation observer callback
+ * Creates dialog heading.
  *
- * @param { MutationRecord[] } mutations Mutation list from observer
+ * @param {string} text Heading text
+ *
+ * @returns {HTMLHeadingElement} heading element
  */
-const doAfterMutation = mutations => {
-    // Ignoring all Youtube urls if they aren't watch page
-    if (!isWatchUrl()) return null;
+const createDialogTitle = text => {
+    const title = document.createElement('h2');
+    title.textContent = text;
+    title.style.margin = '0 0 8px';
+    title.style.fontSize = '18px';
+    return title;
+};
 
-    // First startup
-    if (!metaData.href) updateIdUrlsThumbnail();
+/**
+ * Creates right-aligned dialog buttons row.
+ *
+ * @param {HTMLButtonElement[]} buttons Buttons in display order
+ *
+ * @returns {HTMLDivElement} row element
+ */
+const createDialogButtons = buttons => {
+    const row = document.createElement('div');
+    row.style.display = 'flex';
+    row.style.justifyContent = 'flex-end';
+    row.style.gap = '8px';
+    row.style.marginTop = '16px';
+    buttons.forEach(button => row.appendChild(button));
+    return row;
+};
 
-    // URL changed - but ignore if user clicked on a timestamp overlay
-    if (metaData.href !== location.href && !metaData.seekingByScript) {
-        onUrlChange();
-    } else if (metaData.seekingByScript) {
-        // Update the stored href without destroying the strip
-        metaData.href = location.href;
-        metaData.seekingByScript = false;
-    }
+/**
+ * Creates modal with an empty dialog panel as its first child.
+ *
+ * @param {string} id Modal element id
+ *
+ * @returns {HTMLDivElement} Modal container element
+ */
+const createDialogModal = id => {
+    const modal = createModalBackdrop();
+    modal.id = id;
+    modal.classList.add('screenshot-dialog');
+
+    const dialog = document.createElement('div');
+    dialog.style.minWidth = '420px';
+    dialog.style.maxHeight = '90%';
+    dialog.style.overflowY = 'auto';
+    dialog.style.padding = '16px 24px';
+    dialog.style.color = 'white';
+    dialog.style.backgroundColor = 'rgb(33, 33, 33)';
+    dialog.style.borderRadius = '8px';
+    dialog.style.boxShadow = '0 4px 20px rgba(0, 0, 0, 0.5)';
+    dialog.style.fontFamily = 'Arial, sans-serif';
+    dialog.style.fontSize = '13px';
+    modal.appendChild(dialog);
 
-    updateTitleDuration(mutations);
+    return modal;
 };
 
 /**
- * Starts mutations observer
+ * Shows dialog modal, closes it on Escape or click outside of the dialog.
+ *
+ * @param {HTMLDivElement} modal Modal from createDialogModal
  */
-const startDOMObserver = () => {
-    const observer = new MutationObserver(doAfterMutation);
-    const config = { childList: true, subtree: true };
-    observer.observe(document, config);
-};
+const openDialogModal = modal => {
+    modal.addEventListener('click', event => {
+        if (event.target === modal) hideModal(modal);
+    });
 
-(() => {
-    'use strict';
-    startDOMObserver();
-    document.addEventListener('keydown', logKey);
-})();
+    const escHandler = event => {
+        if (event.key === 'Escape' && modal.parentNode) hideModal(modal);
+        if (event.key === 'Escape' || !modal.parentNode) document.removeEventListener('keydown', escHandler);
+    };
+    document.addEventListener('keydown', escHandler);
 
-function consoleGlobals() {
-    console.log('#YtGr4 globals:', metaData);
-}
+    showModal(modal);
+};
 
 /**
- * Creates a modal overlay for full-size image preview.
+ * Fills settings dialog content with controls bound to the draft.
  *
- * @param {string} imageSrc The base64 image source
- * @param {string} imageTitle The title/filename for the image
- * @returns {HTMLDivElement} Modal container element
+ * @param {HTMLDivElement} dialog Dialog content element
+ * @param {Object} draft Settings copy being edited
+ * @param {function(): void} onSave called when Save is clicked
+ * @param {function(): void} onCancel called when Cancel is clicked
  */
-const createImageModal = (imageSrc, imageTitle) => {
-    const modal = document.createElement('div');
-    modal.id = 'image-modal';
-    modal.style.position = 'fixed';
-    modal.style.top = '0';
-    modal.style.left = '0';
-    modal.style.width = '100%';
-    modal.style.height = '100%';
-    modal.style.backgroundColor = 'rgba(0, 0, 0, 0.9)';
-    modal.style.zIndex = '10000';
-    modal.style.display = 'flex';
-    modal.style.alignItems = 'center';
-    modal.style.justifyContent = 'center';
-    modal.style.opacity = '0';
-    modal.style.transition = 'opacity 0.3s ease-in-out';
-    modal.style.cursor = 'pointer';
+const renderSettingsDialog = (dialog, draft, onSave, onCancel) => {
+    dialog.replaceChildren();
+    dialog.appendChild(createDialogTitle('Screenshot settings'));
+
+    dialog.appendChild(createSettingsHeading('Shortcuts'));
+    const shortcutWarnings = {};
+    const saveButton = createDialogButton('Save', onSave);
+
+    const updateConflicts = () => {
+        const conflicts = Object.keys(shortcutDefinitions).map(name => {
+            const conflict = getShortcutConflict(name, draft.shortcuts);
+            const warning = shortcutWarnings[name];
+            warning.textContent = conflict ? conflict.message : '';
+            warning.style.color = conflict && conflict.isError ? 'rgb(255, 99, 71)' : 'rgb(255, 204, 0)';
+            return conflict;
+        });
+        saveButton.disabled = conflicts.some(conflict => conflict && conflict.isError);
+        saveButton.style.opacity = saveButton.disabled ? '0.5' : '1';
+    };
 
-    // Modal content container
-    const modalContent = document.createElement('div');
-    modalContent.style.position = 'relative';
-    modalContent.style.maxWidth = '95%';
-    modalContent.style.maxHeight = '95%';
-    modalContent.style.textAlign = 'center';
+    Object.entries(shortcutDefinitions).forEach(([name, { label }]) => {
+        const button = createShortcutButton(name, draft.shortcuts, updateConflicts);
+        dialog.appendChild(createSettingsRow(label, button));
 
-    // Full-size image
-    const fullImage = document.createElement('img');
-    fullImage.src = imageSrc;
-    fullImage.style.maxWidth = '100%';
-    fullImage.style.maxHeight = '100%';
-    fullImage.style.objectFit = 'contain';
-    fullImage.style.borderRadius = '8px';
-    fullImage.style.border = '2px solid rgba(100, 149, 237, 0.5)';
-    fullImage.style.boxShadow = '0 4px 20px rgba(0, 0, 0, 0.5)';
+        const warning = document.createElement('div');
+        warning.style.fontSize = '11px';
+        warning.style.textAlign = 'right';
+        shortcutWarnings[name] = warning;
+        dialog.appendChild(warning);
+    });
 
-    // Image title overlay
-    const titleOverlay = document.createElement('div');
-    titleOverlay.style.position = 'absolute';
-    titleOverlay.style.bottom = '10px';
-    titleOverlay.style.left = '50%';
-    titleOverlay.style.transform = 'translateX(-50%)';
-    titleOverlay.style.backgroundColor = 'rgba(0, 0, 0, 0.8)';
-    titleOverlay.style.color = 'white';
-    titleOverlay.style.padding = '8px 16px';
-    titleOverlay.style.borderRadius = '4px';
-    titleOverlay.style.fontSize = '14px';
-    titleOverlay.style.fontFamily = 'Arial, sans-serif';
-    titleOverlay.textContent = imageTitle || 'Screenshot Preview';
+    dialog.appendChild(createSettingsHeading('Strip'));
+    const thumbnailWidthInput = createNumberInput(draft.thumbnailWidth, 96, 320, value => {
+        draft.thumbnailWidth = value;
+    });
+    dialog.appendChild(createSettingsRow('Thumbnail width, px', thumbnailWidthInput));
+    const placementOptions = { below: 'Below player', above: 'Above player' };
+    const placementInput = createSelectInput(placementOptions, draft.stripPlacement, value => {
+        draft.stripPlacement = value;
+    });
+    dialog.appendChild(createSettingsRow('Strip placement', placementInput));
 
-    // Close button
-    const closeButton = document.createElement('div');
-    closeButton.textContent = '×';
-    closeButton.style.position = 'absolute';
-    closeButton.style.top = '10px';
-    closeButton.style.right = '10px';
-    closeButton.style.fontSize = '30px';
-    closeButton.style.color = 'white';
-    closeButton.style.backgroundColor = 'rgba(0, 0, 0, 0.8)';
-    closeButton.style.width = '40px';
-    closeButton.style.height = '40px';
-    closeButton.style.borderRadius = '50%';
-    closeButton.style.display = 'flex';
-    closeButton.style.alignItems = 'center';
-    closeButton.style.justifyContent = 'center';
-    closeButton.style.cursor = 'pointer';
-    closeButton.style.transition = 'background-color 0.2s';
+    dialog.appendChild(createSettingsHeading('Burst'));
+    const burstFramesInput = createNumberInput(draft.burstFrames, 2, 60, value => {
+        draft.burstFrames = value;
+    });
+    dialog.appendChild(createSettingsRow('Frames per burst', burstFramesInput));
+    const burstIntervalInput = createNumberInput(draft.burstInterval, 0, 5000, value => {
+        draft.burstInterval = value;
+    });
+    dialog.appendChild(createSettingsRow('Interval, ms (0 = every frame)', burstIntervalInput));
 
-    closeButton.addEventListener('mouseenter', () => {
-        closeButton.style.backgroundColor = 'rgba(255, 255, 255, 0.2)';
+    dialog.appendChild(createSettingsHeading('Scene-change capture'));
+    const sensitivityInput = createNumberInput(draft.sceneSensitivity, 1, 100, value => {
+        draft.sceneSensitivity = value;
+    });
+    dialog.appendChild(createSettingsRow('Sensitivity, 1 to 100', sensitivityInput));
+    const minGapInput = createNumberInput(draft.sceneMinGap, 0, 600, value => {
+        draft.sceneMinGap = value;
     });
+    dialog.appendChild(createSettingsRow('Minimal gap between captures, s', minGapInput));
 
-    closeButton.addEventListener('mouseleave', () => {
-        closeButton.style.backgroundColor = 'rgba(0, 0, 0, 0.8)';
+    dialog.appendChild(createSettingsHeading('Captions and stamp'));
+    const captionsInput = createCheckboxInput(draft.burnCaptions, checked => {
+        draft.burnCaptions = checked;
+    });
+    dialog.appendChild(createSettingsRow('Burn visible captions into captures', captionsInput));
+    const stampInputs = [
+        createSelectInput(stampCorners, draft.stampCorner, value => {
+            draft.stampCorner = value;
+        }),
+        ...['stampTitle', 'stampTime', 'stampUrl'].map(key =>
+            createCheckboxInput(draft[key], checked => {
+                draft[key] = checked;
+            })
+        ),
+    ];
+    const updateStampInputs = () => {
+        stampInputs.forEach(input => {
+            input.disabled = !draft.stampEnabled;
+        });
+    };
+    const stampInput = createCheckboxInput(draft.stampEnabled, checked => {
+        draft.stampEnabled = checked;
+        updateStampInputs();
+    });
+    updateStampInputs();
+    dialog.appendChild(createSettingsRow('Stamp video details into captures', stampInput));
+    ['Stamp corner', 'Stamp title', 'Stamp frame time', 'Stamp short URL'].forEach((label, idx) => {
+        dialog.appendChild(createSettingsRow(label, stampInputs[idx]));
     });
 
-    modalContent.appendChild(fullImage);
-    modalContent.appendChild(titleOverlay);
-    modalContent.appendChild(closeButton);
-    modal.appendChild(modalContent);
+    dialog.appendChild(createSettingsHeading('Clean player'));
+    const selectorsInput = styleSettingsControl(document.createElement('textarea'));
+    selectorsInput.rows = 6;
+    selectorsInput.style.width = '240px';
+    selectorsInput.style.fontFamily = 'monospace';
+    selectorsInput.value = draft.cleanSelectors.join('\n');
+    const selectorsWarning = document.createElement('div');
+    selectorsWarning.style.fontSize = '11px';
+    selectorsWarning.style.textAlign = 'right';
+    selectorsWarning.style.color = 'rgb(255, 204, 0)';
+    selectorsInput.addEventListener('change', () => {
+        draft.cleanSelectors = selectorsInput.value
+            .split('\n')
+            .map(selector => selector.trim())
+            .filter(Boolean);
+        const invalid = draft.cleanSelectors.filter(selector => !isValidSelector(selector));
+        selectorsWarning.textContent = invalid.length ? `Invalid, skipped: ${invalid.join(', ')}` : '';
+    });
+    dialog.appendChild(createSettingsRow('Overlays to hide, one selector per line', selectorsInput));
+    dialog.appendChild(selectorsWarning);
 
-    return modal;
+    dialog.appendChild(createSettingsHeading('Contact sheet'));
+    const columnsInput = createNumberInput(draft.sheetColumns, 1, 12, value => {
+        draft.sheetColumns = value;
+    });
+    dialog.appendChild(createSettingsRow('Columns', columnsInput));
+    const cellWidthInput = createNumberInput(draft.sheetCellWidth, 120, 1280, value => {
+        draft.sheetCellWidth = value;
+    });
+    dialog.appendChild(createSettingsRow('Cell width, px', cellWidthInput));
+    const backgroundInput = styleSettingsControl(document.createElement('input'));
+    backgroundInput.type = 'color';
+    backgroundInput.value = draft.sheetBackground;
+    backgroundInput.addEventListener('change', () => {
+        draft.sheetBackground = backgroundInput.value;
+    });
+    dialog.appendChild(createSettingsRow('Background', backgroundInput));
+
+    dialog.appendChild(createSettingsHeading('Saving'));
+    const formatOptions = Object.fromEntries(Object.entries(imageFormats).map(([key, { label }]) => [key, label]));
+    const qualityInput = createNumberInput(draft.imageQuality, 10, 100, value => {
+        draft.imageQuality = value;
+    });
+    const formatInput = createSelectInput(formatOptions, draft.imageFormat, value => {
+        draft.imageFormat = value;
+        qualityInput.disabled = value === 'png';
+    });
+    qualityInput.disabled = draft.imageFormat === 'png';
+    dialog.appendChild(createSettingsRow('Image format', formatInput));
+    dialog.appendChild(createSettingsRow('Quality, %', qualityInput));
+    const fileNameInput = createTextInput(draft.fileNameTemplate);
+    fileNameInput.style.width = '240px';
+    fileNameInput.addEventListener('change', () => {
+        draft.fileNameTemplate = fileNameInput.value.trim() || defaultSettings.fileNameTemplate;
+        fileNameInput.value = draft.fileNameTemplate;
+    });
+    dialog.appendChild(createSettingsRow('File name', fileNameInput));
+    const tokensHint = document.createElement('div');
+    tokensHint.style.fontSize = '11px';
+    tokensHint.style.opacity = '0.7';
+    tokensHint.textContent = Object.entries(fileNameTokens)
+        .map(([token, description]) => `{${token}} ${description}`)
+        .join(', ');
+    dialog.appendChild(tokensHint);
+
+    dialog.appendChild(createSettingsHeading('Link copy'));
+    const linkFormatOptions = Object.fromEntries(Object.entries(linkFormats).map(([key, { label }]) => [key, label]));
+    const linkTemplateInput = createTextInput(draft.linkTemplate);
+    linkTemplateInput.style.width = '240px';
+    linkTemplateInput.disabled = draft.linkFormat !== 'custom';
+    linkTemplateInput.addEventListener('change', () => {
+        draft.linkTemplate = linkTemplateInput.value.trim() || defaultSettings.linkTemplate;
+        linkTemplateInput.value = draft.linkTemplate;
+    });
+    const linkFormatInput = createSelectInput(linkFormatOptions, draft.linkFormat, value => {
+        draft.linkFormat = value;
+        linkTemplateInput.disabled = value !== 'custom';
+    });
+    dialog.appendChild(createSettingsRow('Link format', linkFormatInput));
+    dialog.appendChild(createSettingsRow('Custom template', linkTemplateInput));
+    const linkTokensHint = document.createElement('div');
+    linkTokensHint.style.fontSize = '11px';
+    linkTokensHint.style.opacity = '0.7';
+    linkTokensHint.textContent = Object.entries(linkTokens)
+        .map(([token, description]) => `{${token}} ${description}`)
+        .join(', ');
+    dialog.appendChild(linkTokensHint);
+
+    const resetButton = createDialogButton('Defaults', () => {
+        Object.assign(draft, JSON.parse(JSON.stringify(defaultSettings)));
+        renderSettingsDialog(dialog, draft, onSave, onCancel);
+    });
+    dialog.appendChild(createDialogButtons([resetButton, createDialogButton('Cancel', onCancel), saveButton]));
+
+    updateConflicts();
 };
 
 /**
- * Shows the image modal with fade-in animation.
+ * Creates settings dialog with a copy of current settings.
+ * Changes are applied only when saved.
  *
- * @param {HTMLDivElement} modal The modal element to show
+ * @returns {HTMLDivElement} Modal container element
  */
-const showModal = modal => {
-    document.body.appendChild(modal);
-    setTimeout(() => {
-        modal.style.opacity = '1';
-    }, 10);
+const createSettingsDialog = () => {
+    const draft = JSON.parse(JSON.stringify(settings));
+    const modal = createDialogModal('screenshot-settings');
+
+    const onSave = () => {
+        saveSettings({ ...draft, cleanPlayer: settings.cleanPlayer, stripCollapsed: settings.stripCollapsed });
+        applyStripSettings();
+        if (settings.cleanPlayer) {
+            stopCleanPlayer();
+            startCleanPlayer();
+        }
+        hideModal(modal);
+    };
+    renderSettingsDialog(modal.firstChild, draft, onSave, () => hideModal(modal));
+
+    return modal;
 };
 
 /**
- * Hides and removes the image modal.
+ * Opens settings dialog.
+ */
+const openSettingsDialog = () => {
+    if (document.querySelector('#screenshot-settings')) return null;
+    openDialogModal(createSettingsDialog());
+    return null;
+};
+
+/**
+ * Creates text input for dialogs.
  *
- * @param {HTMLDivElement} modal The modal element to hide
+ * @param {string} value Initial value
+ *
+ * @returns {HTMLInputElement} input element
  */
-const hideModal = modal => {
-    modal.style.opacity = '0';
-    setTimeout(() => {
-        if (modal.parentNode) {
-            modal.parentNode.removeChild(modal);
+const createTextInput = value => {
+    const input = styleSettingsControl(document.createElement('input'));
+    input.type = 'text';
+    input.value = value;
+    return input;
+};
+
+/**
+ * Opens range capture dialog, start defaults to current position and end to video end.
+ */
+const openRangeCaptureDialog = () => {
+    const videoStream = getVideoStream();
+    if (!videoStream || document.querySelector('#screenshot-range') || metaData.rangeCapture) return null;
+
+    const modal = createDialogModal('screenshot-range');
+    const dialog = modal.firstChild;
+    dialog.appendChild(createDialogTitle('Capture time range'));
+
+    const startInput = createTextInput(hoursMinutesSeconds(Math.trunc(videoStream.currentTime)));
+    const endInput = createTextInput(hoursMinutesSeconds(Math.trunc(videoStream.duration || 0)));
+    const stepInput = createTextInput(`${settings.rangeStep}`);
+    dialog.appendChild(createSettingsRow('Start (hh:mm:ss)', startInput));
+    dialog.appendChild(createSettingsRow('End (hh:mm:ss)', endInput));
+    dialog.appendChild(createSettingsRow('Step, seconds', stepInput));
+
+    const error = document.createElement('div');
+    error.style.color = 'rgb(255, 99, 71)';
+    error.style.fontSize = '11px';
+    error.style.textAlign = 'right';
+    dialog.appendChild(error);
+
+    const startButton = createDialogButton('Capture', () => {
+        const start = parseTimeInput(startInput.value);
+        const end = parseTimeInput(endInput.value);
+        const step = parseTimeInput(stepInput.value);
+        if (isNaN(start) || isNaN(end) || isNaN(step)) {
+            error.textContent = 'Use seconds, mm:ss or hh:mm:ss';
+            return;
         }
-    }, 300);
+        if (end < start || step <= 0) {
+            error.textContent = 'End has to be after start and step above zero';
+            return;
+        }
+        saveSettings({ rangeStep: step });
+        hideModal(modal);
+        captureRange(start, end, step);
+    });
+    const cancelButton = createDialogButton('Cancel', () => hideModal(modal));
+    dialog.appendChild(createDialogButtons([cancelButton, startButton]));
+
+    openDialogModal(modal);
+    return null;
 };
 
 /**
- * Handles click on image to open modal preview.
+ * Opens animation dialog for the frames, at least two are needed.
  *
- * @param {Event} event Click event on the image
+ * @param {HTMLDivElement[]} imageContainers strip image containers in animation order
  */
-const openImageModal = event => {
-    event.preventDefault();
-    event.stopPropagation();
+const openAnimationDialog = imageContainers => {
+    if (imageContainers.length < 2) {
+        showToast('Select at least two frames with Ctrl+click to create animation', 'warning');
+        return null;
+    }
+    if (document.querySelector('#screenshot-animation')) return null;
 
-    const imageElement = event.target;
-    const imageSrc = imageElement.src;
+    const draft = {
+        animationFormat: settings.animationFormat,
+        animationWidth: settings.animationWidth,
+        animationDelay: settings.animationDelay,
+        animationRealGaps: settings.animationRealGaps,
+    };
+    const modal = createDialogModal('screenshot-animation');
+    const dialog = modal.firstChild;
+    dialog.appendChild(createDialogTitle(`Animation of ${imageContainers.length} frames`));
 
-    const imageContainer = imageElement.closest('[id^="screenshot-"]');
-    const frameTimeAttr = imageContainer ? imageContainer.id.split('-').pop() : '0';
-    const imageTitle = `Screenshot at ${frameTimeAttr}s`;
+    const formatInput = createSelectInput({ gif: 'GIF', apng: 'APNG' }, draft.animationFormat, value => {
+        draft.animationFormat = value;
+    });
+    dialog.appendChild(createSettingsRow('Format', formatInput));
+    const widthInput = createNumberInput(draft.animationWidth, 64, 1920, value => {
+        draft.animationWidth = value;
+    });
+    dialog.appendChild(createSettingsRow('Width, px', widthInput));
+    const delayInput = createNumberInput(draft.animationDelay, 20, 10000, value => {
+        draft.animationDelay = value;
+    });
+    dialog.appendChild(createSettingsRow('Frame delay, ms', delayInput));
+    const realGapsInput = createCheckboxInput(draft.animationRealGaps, checked => {
+        draft.animationRealGaps = checked;
+        delayInput.disabled = checked;
+    });
+    delayInput.disabled = draft.animationRealGaps;
+    dialog.appendChild(createSettingsRow('Use real time gaps between frames', realGapsInput));
 
-    const modal = createImageModal(imageSrc, imageTitle);
+    const createButton = createDialogButton('Create', () => {
+        saveSettings(draft);
+        hideModal(modal);
+        createAnimation(imageContainers);
+    });
+    const cancelButton = createDialogButton('Cancel', () => hideModal(modal));
+    dialog.appendChild(createDialogButtons([cancelButton, createButton]));
+
+    openDialogModal(modal);
+    return null;
+};
+
+/**
+ * Opens study notes export dialog.
+ */
+const openStudyNotesDialog = () => {
+    const frameCount = getStripImageContainers().length;
+    if (!frameCount) {
+        showToast('No screenshots to export', 'warning');
+        return null;
+    }
+    if (document.querySelector('#screenshot-notes')) return null;
+
+    const draft = { notesFormat: settings.notesFormat };
+    const modal = createDialogModal('screenshot-notes');
+    const dialog = modal.firstChild;
+    dialog.appendChild(createDialogTitle(`Study notes of ${frameCount} screenshots`));
+
+    const formatOptions = { html: 'HTML, images embedded', markdown: 'Markdown and images, ZIP' };
+    const formatInput = createSelectInput(formatOptions, draft.notesFormat, value => {
+        draft.notesFormat = value;
+    });
+    dialog.appendChild(createSettingsRow('Format', formatInput));
 
-    modal.addEventListener('click', () => {
+    const exportButton = createDialogButton('Export', () => {
+        saveSettings(draft);
         hideModal(modal);
+        exportStudyNotes(draft.notesFormat);
     });
+    const cancelButton = createDialogButton('Cancel', () => hideModal(modal));
+    dialog.appendChild(createDialogButtons([cancelButton, exportButton]));
 
-    const escHandler = event => {
-        if (event.key === 'Escape') {
-            hideModal(modal);
-            document.removeEventListener('keydown', escHandler);
-        }
-    };
-    document.addEventListener('keydown', escHandler);
+    openDialogModal(modal);
+    return null;
+};
 
-    showModal(modal);
+/**
+ * Opens dialog choosing the tag to filter the strip by.
+ */
+const openTagFilterDialog = () => {
+    if (document.querySelector('#screenshot-tag-filter')) return null;
+    const tags = getStripTags();
+    const options = { '': 'All screenshots' };
+    Object.entries(tags).forEach(([tag, count]) => {
+        options[tag] = `${tag} (${count})`;
+    });
+    let selectedTag = tagFilter.tag in tags ? tagFilter.tag : '';
+
+    const modal = createDialogModal('screenshot-tag-filter');
+    const dialog = modal.firstChild;
+    dialog.appendChild(createDialogTitle('Filter by tag'));
+    const tagInput = createSelectInput(options, selectedTag, value => {
+        selectedTag = value;
+    });
+    dialog.appendChild(createSettingsRow('Tag', tagInput));
+    if (!Object.keys(tags).length) {
+        const hint = document.createElement('div');
+        hint.style.fontSize = '11px';
+        hint.style.opacity = '0.7';
+        hint.textContent = 'No tags yet, add them in the screenshot preview.';
+        dialog.appendChild(hint);
+    }
+
+    const applyButton = createDialogButton('Apply', () => {
+        tagFilter.tag = selectedTag;
+        applyTagFilter();
+        hideModal(modal);
+    });
+    const cancelButton = createDialogButton('Cancel', () => hideModal(modal));
+    dialog.appendChild(createDialogButtons([cancelButton, applyButton]));
+
+    openDialogModal(modal);
+    return null;
 };